@@ -9,9 +9,16 @@ const hubspotListRoutes = require('./routes/hubspotRoute.js');
 const ClonerRoutes = require('./routes/cloner.js');
 const authRoutes = require('./routes/auth');
 const loginTrackingRoutes = require('./routes/loginTracking');
+const runRoutes = require('./routes/runs');
+const scheduleRoutes = require('./routes/schedules');
+const namingTemplateRoutes = require('./routes/namingTemplates');
+const suppressionListRoutes = require('./routes/suppressionLists');
 
 const app = express();
 const { initializeAutocleanup } = require('./service/dataRetention');
+const { resumeInterruptedRuns } = require('./service/campaignRunner');
+const { runMigrations } = require('./service/migrations');
+const { initializeListScheduler } = require('./service/listScheduler');
 
 // Middleware
 app.use(express.json());
@@ -43,6 +50,12 @@ app.engine("hbs", engine({
         isType: function (isMain, currentType) {
             isMain = currentType.toLowerCase().includes("main");
             return isMain ? "mainStyle" : "subStyle";
+        },
+        json: function (value) {
+            return JSON.stringify(value === undefined ? null : value);
+        },
+        eq: function (a, b) {
+            return a === b;
         }
     },
 }));
@@ -57,6 +70,10 @@ app.use("/", authRoutes);         // 👈 Login & logout
 app.use("/", adminRoutes);        // 👈 Protected routes
 app.use('/api', hubspotListRoutes);
 app.use('/api', ClonerRoutes);
+app.use('/api', runRoutes);
+app.use('/api', scheduleRoutes);
+app.use('/api', namingTemplateRoutes);
+app.use('/api', suppressionListRoutes);
 app.use('/api/login-tracking', loginTrackingRoutes);  // 👈 Login tracking API
 
 // Test route (optional)
@@ -72,4 +89,10 @@ app.listen(PORT, () => {
 
     // 🗑️ Initialize automatic data retention cleanup (runs daily at 2 AM)
     initializeAutocleanup();
+
+    // 🔧 Bring stored data up to the current schema, then ♻️ resume list creation runs interrupted by a restart or crash
+    runMigrations().then(() => resumeInterruptedRuns());
+
+    // ⏰ Start list creation runs from the stored schedules
+    initializeListScheduler();
 });
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Ledger of contacts selected for a send date, used to dedupe contacts across list creation runs
+const ContactAssignmentSchema = new mongoose.Schema({
+  contactId: { type: Number, required: true },
+  sendDate: { type: String, required: true }, // YYYY-MM-DD, same format as Segmentation.date
+  campaign: { type: String },
+  brand: { type: String },
+  mode: { type: String },
+  segmentationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segmentation' },
+  runId: { type: mongoose.Schema.Types.ObjectId, ref: 'OperationStatus' },
+  listId: { type: Number }, // Created ILS list (set once the list exists)
+  sourceListId: { type: Number }, // List the contact was selected from
+  allowOverlap: { type: Boolean, default: false },
+  addedToSendList: { type: Boolean }, // Newly added to the campaign's send contacts list (not already a member)
+  // Property values before the campaign stamped them, used to roll the campaign back
+  previousProperties: {
+    recent_marketing_email_sent_date: { type: String },
+    last_marketing_email_sent_brand: { type: String }
+  },
+  createdAt: { type: Date, default: Date.now, index: true }
+}, {
+  // Built by service/migrations.js once duplicate claims are resolved, so the unique claim index cannot fail to build
+  autoIndex: false
+});
+
+ContactAssignmentSchema.index({ sendDate: 1, contactId: 1 });
+// One non-overlap entry per contact and send date, so concurrent runs cannot both claim a contact (see recordAssignments).
+// Duplicates recorded before this index existed are resolved by the migrations before it is built.
+const CLAIM_INDEX_NAME = 'sendDate_1_contactId_1_claim';
+ContactAssignmentSchema.index(
+  { sendDate: 1, contactId: 1 },
+  { unique: true, partialFilterExpression: { allowOverlap: false }, name: CLAIM_INDEX_NAME }
+);
+ContactAssignmentSchema.index({ runId: 1, segmentationId: 1 });
+ContactAssignmentSchema.index({ listId: 1 });
+ContactAssignmentSchema.index({ contactId: 1, sendDate: -1 });
+
+const ContactAssignment = mongoose.model('ContactAssignment', ContactAssignmentSchema);
+ContactAssignment.CLAIM_INDEX_NAME = CLAIM_INDEX_NAME;
+module.exports = ContactAssignment;
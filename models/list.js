@@ -1,12 +1,57 @@
 const mongoose = require('mongoose');
 
+// Membership add that failed after all retries, kept for POST /api/lists/:listId/retry-failed
+const FailedMembershipSchema = new mongoose.Schema({
+  listId: { type: Number, required: true }, // Created list or send contacts list
+  contactIds: { type: [Number], default: [] },
+  error: { type: String }, // HubSpot error message
+  failedAt: { type: Date, default: Date.now },
+  attempts: { type: Number, default: 1 }
+}, { _id: false });
+
 const CreatedListSchema = new mongoose.Schema({
   name: { type: String, required: true },
   listId: { type: Number, required: true }, // ILS Segment ID (new format)
   legacyListId: { type: Number }, // Legacy Segment ID (required for email association)
   createdDate: { type: Date, default: Date.now },
-  deleted: { type: Boolean, default: null }
+  deleted: { type: Boolean, default: null },
+  segmentationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segmentation', index: true }, // Segmentation row the list was built for
+  runId: { type: mongoose.Schema.Types.ObjectId, ref: 'OperationStatus', index: true }, // Run that created the list
+  filterCriteria: {
+    days: { type: String }, // Days filter of the run (today, t+N, date, range or all)
+    mode: { type: String }
+  },
+  campaignDetails: {
+    brand: { type: String },
+    campaign: { type: String },
+    date: { type: String } // Send date (YYYY-MM-DD)
+  },
+  contactCount: { type: Number, default: 0 }, // Contacts actually added to the list
+  requestedCount: { type: Number },
+  availableCount: { type: Number },
+  filteredCount: { type: Number },
+  suppressedCount: { type: Number }, // Contacts skipped because they are on a suppression list
+  fetchOutcome: { type: String }, // Why selection stopped: count_met, capped, sources_exhausted or fetch_error
+  fulfillmentPercentage: { type: Number }, // Selected contacts as a % of the requested count
+  sendContactListId: { type: Number }, // Send contacts list the campaign also added its contacts to
+  failedMemberships: { type: [FailedMembershipSchema], default: [] },
+  // Outcome of the last rollback (compensation) of this campaign
+  rollback: {
+    status: { type: String, enum: ['running', 'completed', 'partial', 'failed'] },
+    reason: { type: String },
+    requestedBy: { type: String },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    removedFromList: { type: Number },
+    removedFromSendList: { type: Number },
+    restoredProperties: { type: Number },
+    skippedProperties: { type: Number }, // Stamped again by a later campaign, left as is
+    listDeleted: { type: Boolean },
+    errors: { type: [String], default: undefined }
+  }
 });
 
+CreatedListSchema.index({ 'campaignDetails.brand': 1, 'campaignDetails.date': -1 });
+
 const CreatedList = mongoose.model('CreatedList', CreatedListSchema);
 module.exports = CreatedList;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { CAMPAIGN_MODES } = require('../service/campaignModes');
+
+// Recurring list creation: when the cron expression fires, the rows of (today + daysOffset) and mode are run
+const ListScheduleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  cron: { type: String, required: true }, // "minute hour day-of-month month day-of-week", see service/cronSchedule.js
+  timezone: { type: String }, // Timezone of the cron expression and of "today" (unset = APP_TIMEZONE)
+  daysOffset: { type: Number, required: true, min: 0, default: 1 }, // 0 = today, 1 = T+1, ...
+  modeFilter: { type: String, enum: CAMPAIGN_MODES, required: true },
+  allowOverlap: { type: Boolean, default: false },
+  enabled: { type: Boolean, default: true },
+  createdBy: { type: String },
+  // Latest cron firing handled, claimed atomically so one firing starts at most one run; firings missed
+  // after it (server down, slow check) are caught up on the next check
+  lastFiredAt: { type: Date },
+  lastTriggeredAt: { type: Date },
+  lastOutcome: { type: String, enum: ['started', 'skipped', 'no_campaigns', 'missed', 'failed'] },
+  lastMessage: { type: String },
+  lastRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'OperationStatus' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const ListSchedule = mongoose.model('ListSchedule', ListScheduleSchema);
+module.exports = ListSchedule;
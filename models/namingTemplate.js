@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// List name template, global (no brand) or for one brand; placeholders are documented in service/listNaming.js
+const NamingTemplateSchema = new mongoose.Schema({
+  brand: { type: String, default: null }, // null = global template used by brands without their own
+  template: { type: String, required: true },
+  updatedBy: { type: String },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+NamingTemplateSchema.index({ brand: 1 }, { unique: true });
+
+const NamingTemplate = mongoose.model('NamingTemplate', NamingTemplateSchema);
+module.exports = NamingTemplate;
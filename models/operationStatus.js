@@ -1,5 +1,77 @@
 const mongoose = require('mongoose');
 
+// Contribution of one source list to a campaign's selection
+const sourceResultSchema = new mongoose.Schema({
+  listId: Number,
+  cap: Number,
+  availableCount: Number,
+  suppressedCount: Number,
+  filteredCount: Number,
+  selectedCount: Number,
+  // Why reading the source stopped: filled (supplied its share or reached its cap), exhausted (no members left) or error
+  endReason: String,
+  error: String
+}, { _id: false });
+
+// Per-campaign checkpoint of a list_creation run
+const campaignCheckpointSchema = new mongoose.Schema({
+  segmentationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segmentation' },
+  campaign: String,
+  brand: String,
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'skipped', 'cancelled'],
+    default: 'pending'
+  },
+  // Step currently in progress while status is "processing"
+  stage: String,
+  startedAt: Date,
+  finishedAt: Date,
+  // Set once contacts are selected, before anything is written to HubSpot
+  selectedAt: Date,
+  contactIds: { type: [Number], default: undefined },
+  listId: Number,
+  legacyListId: Number,
+  listName: String,
+  contactCount: Number,
+  requestedCount: Number,
+  // Contacts the allocation plan gave the campaign before selection (priority allocation only)
+  plannedCount: Number,
+  availableCount: Number,
+  filteredCount: Number,
+  // Contacts skipped because they are on a global or brand suppression list
+  suppressedCount: Number,
+  // Contacts skipped because another run already assigned them to the same send date
+  alreadyAssignedCount: Number,
+  // Contacts dropped by frequency rules, in total and per rule name
+  frequencyCappedCount: Number,
+  frequencyCapDrops: {
+    recentEmail: Number,
+    recentBrandEmail: Number,
+    historyUnavailable: Number
+  },
+  sources: { type: [sourceResultSchema], default: undefined },
+  // Sampling used for the selection; re-running with samplingSeed reproduces the same order
+  samplingMode: String,
+  samplingSeed: Number,
+  fulfillmentPercentage: Number,
+  // Why selection stopped: count_met, capped (every source at its cap), sources_exhausted or fetch_error
+  fetchOutcome: String,
+  // Membership chunks that failed (contact IDs are kept on the CreatedList record for retry)
+  failedMemberships: {
+    type: [{ listId: Number, contactCount: Number, error: String, _id: false }],
+    default: undefined
+  },
+  // Property stamping totals (batch results are stored as PropertyUpdateBatch records)
+  propertyUpdates: {
+    updatedCount: Number,
+    failedCount: Number
+  },
+  // Outcome of the automatic rollback of a partly applied campaign (see CreatedList.rollback for details)
+  rollbackStatus: String,
+  error: String
+}, { _id: false });
+
 const operationStatusSchema = new mongoose.Schema({
   type: {
     type: String,
@@ -8,7 +80,7 @@ const operationStatusSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['running', 'completed', 'failed'],
+    enum: ['running', 'paused', 'completed', 'failed', 'cancelled'],
     default: 'running'
   },
   startTime: {
@@ -22,8 +94,35 @@ const operationStatusSchema = new mongoose.Schema({
     currentCampaign: String,
     estimatedCompletionTime: Date
   },
+  filters: {
+    daysFilter: String,
+    // Inclusive window of send dates the days filter resolved to (unset for "all")
+    startDate: String,
+    endDate: String,
+    timezone: String,
+    modeFilter: String,
+    // Ignore the contact assignment ledger for every campaign of the run
+    allowOverlap: Boolean,
+    // How overlapping source lists are shared between campaigns: 'priority' (planned) or 'sequential'
+    allocationStrategy: String
+  },
+  campaigns: [campaignCheckpointSchema],
+  // Suppression lists applied by the last execution of the run, with their member counts at load time
+  suppressionLists: {
+    type: [{ listId: Number, brand: String, name: String, contactCount: Number, _id: false }],
+    default: undefined
+  },
+  resumeCount: { type: Number, default: 0 },
+  lastResumedAt: Date,
+  pausedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: String,
   error: String,
-  user: String
+  user: String,
+  // Set when the run was started by a recurring schedule instead of a user
+  scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ListSchedule' }
 });
 
-module.exports = mongoose.model('OperationStatus', operationStatusSchema);
\ No newline at end of file
+operationStatusSchema.index({ type: 1, status: 1 });
+
+module.exports = mongoose.model('OperationStatus', operationStatusSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Result of one contact property batch update (recent_marketing_email_sent_date / last_marketing_email_sent_brand)
+const PropertyUpdateBatchSchema = new mongoose.Schema({
+  runId: { type: mongoose.Schema.Types.ObjectId, ref: 'OperationStatus', index: true },
+  segmentationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segmentation' },
+  listId: { type: Number }, // Created ILS list of the campaign
+  campaign: { type: String },
+  batchIndex: { type: Number },
+  dateValue: { type: String }, // Send date the contacts were stamped with
+  brandValue: { type: String },
+  contactIds: { type: [Number], default: [] },
+  status: {
+    type: String,
+    enum: ['succeeded', 'partial', 'failed'],
+    required: true
+  },
+  httpStatus: { type: Number },
+  attempts: { type: Number, default: 1 },
+  updatedCount: { type: Number, default: 0 },
+  failedContactIds: { type: [Number], default: [] },
+  // Whole-batch error, or HubSpot's per-record errors from a 207 Multi-Status response
+  recordErrors: [{
+    _id: false,
+    status: String,
+    category: String,
+    message: String,
+    contactIds: { type: [Number], default: undefined }
+  }],
+  retryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'PropertyUpdateBatch' }, // Batch whose failed contacts this one re-stamped
+  supersededAt: { type: Date }, // Set once a later batch re-stamped these contacts (re-stamp or resumed run)
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+PropertyUpdateBatchSchema.index({ runId: 1, status: 1 });
+
+const PropertyUpdateBatch = mongoose.model('PropertyUpdateBatch', PropertyUpdateBatchSchema);
+module.exports = PropertyUpdateBatch;
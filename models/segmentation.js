@@ -1,15 +1,33 @@
 const mongoose = require("mongoose");
+const { CAMPAIGN_MODES, DEFAULT_MODE } = require("../service/campaignModes");
+
+// One entry of the ordered source chain; caps limit how much of the count a source may fill
+const SourceListSchema = new mongoose.Schema({
+  listId: { type: Number, required: true },
+  maxPercent: { type: Number, min: 0, max: 100 }, // At most this % of the count from this source
+  maxCount: { type: Number, min: 0 } // At most this many contacts from this source
+}, { _id: false });
 
 const SegmentationSchema = new mongoose.Schema({
   campaign: { type: String, required: true },
   brand: { type: String, required: true },
+  mode: { type: String, enum: CAMPAIGN_MODES, default: DEFAULT_MODE, index: true }, // Which run picks this row up (BAU, re-engagement, ...)
   count: { type: Number, required: true },
-  primaryListId: { type: Number, required: true },
-  secondaryListId: { type: Number},
+  sources: {
+    type: [SourceListSchema],
+    validate: [sources => sources.length > 0, 'At least one source list is required']
+  }, // Walked in order until the count is met
   sendContactListId:{type: Number,required: true},
   domain: { type: String, required: true },
   date: { type: String, required: true },
   lastMarketingEmailSentBrand: { type: String, required: true },
+  allowOverlap: { type: Boolean, default: false }, // May reuse contacts already assigned to another send on the same date
+  frequencyCapDays: { type: Number }, // Skip contacts emailed in the last N days (unset = FREQUENCY_CAP_DAYS, 0 = off)
+  brandFrequencyCapDays: { type: Number }, // Skip contacts emailed this brand in the last N days (unset = FREQUENCY_CAP_BRAND_DAYS, 0 = off)
+  samplingMode: { type: String, enum: ['first', 'random', 'least_recent'], default: 'first' }, // How contacts are picked from the source lists
+  samplingSeed: { type: Number }, // Fixed seed for random / least_recent sampling (unset = new seed per run, recorded on the run)
+  priority: { type: Number, min: 1, default: 1 }, // Weight when campaigns of a run share source contacts (higher fills faster)
+  minimumPercent: { type: Number, min: 0, max: 100 }, // Share of the count planned before other campaigns get more (unset = ALLOCATION_MINIMUM_PERCENT)
   createdAt: { type: Date, default: Date.now },
   order: { type: Number, default: 1 } // ← required for sorting
 });
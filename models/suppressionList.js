@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// HubSpot list whose members are never selected: for every campaign (global) or for one brand's campaigns
+const SuppressionListSchema = new mongoose.Schema({
+  listId: { type: Number, required: true }, // ILS list ID
+  brand: { type: String, default: null }, // null = global, otherwise matched against Segmentation.brand
+  name: { type: String }, // What the list holds, e.g. "Unsubscribed / bounced"
+  enabled: { type: Boolean, default: true },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+SuppressionListSchema.index({ listId: 1, brand: 1 }, { unique: true });
+
+const SuppressionList = mongoose.model('SuppressionList', SuppressionListSchema);
+module.exports = SuppressionList;
@@ -1,17 +1,15 @@
 const express = require("express");
 const router = express.Router();
-const axios = require('axios');
 const Segmentation = require("../models/segmentation");
 const CreatedList = require("../models/list");
 const ClonedEmail = require("../models/clonedEmail");
 const { runDataRetentioncleanup, getRetentionCutoffDate, RETENTION_DAYS } = require("../service/dataRetention");
-
-// HubSpot configuration
-const HUBSPOT_ACCESS_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
-const hubspotHeaders = {
-  'Authorization': `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-  'Content-Type': 'application/json'
-};
+const { rollbackCampaign } = require("../service/rollback");
+const { retryFailedMemberships } = require("../service/listCreation");
+const { buildListContactsCsv } = require("../service/contactExport");
+const { hubspot } = require("../service/hubspotClient");
+const { APP_TIMEZONE } = require("../service/dateFilters");
+const { CAMPAIGN_MODES } = require("../service/campaignModes");
 
 // 🔒 Middleware to protect private routes
 function ensureAuthenticated(req, res, next) {
@@ -77,6 +75,8 @@ router.get("/", ensureAuthenticated, async (req, res) => {
           isEdit: false,
           pageTitle: "ED Automation",
           activePage: "ED Automation",
+          appTimezone: APP_TIMEZONE,
+          campaignModes: CAMPAIGN_MODES,
         });
       })
       .catch((error) => {
@@ -220,6 +220,64 @@ router.get('/cleanup', ensureAuthenticated, async (req, res) => {
   }
 });
 
+// ✔️ RUN HISTORY PAGE (protected)
+router.get('/run-history', ensureAuthenticated, async (req, res) => {
+  try {
+    res.render("runHistory", {
+      pageTitle: "Run History",
+      activePage: "run history",
+    });
+  } catch (err) {
+    console.error("run history route failed:", err);
+    res.status(500).json({ success: false });
+  }
+});
+
+// ✔️ SCHEDULES PAGE (protected)
+router.get('/schedules', ensureAuthenticated, async (req, res) => {
+  try {
+    res.render("schedules", {
+      pageTitle: "Schedules",
+      activePage: "schedules",
+      campaignModes: CAMPAIGN_MODES,
+      appTimezone: APP_TIMEZONE,
+    });
+  } catch (err) {
+    console.error("schedules route failed:", err);
+    res.status(500).json({ success: false });
+  }
+});
+
+// ✔️ LIST NAMING PAGE (protected)
+router.get('/naming-templates', ensureAuthenticated, async (req, res) => {
+  try {
+    const brands = await Segmentation.distinct('brand');
+    res.render("namingTemplates", {
+      pageTitle: "List Naming",
+      activePage: "list naming",
+      brands: brands.sort(),
+    });
+  } catch (err) {
+    console.error("list naming route failed:", err);
+    res.status(500).json({ success: false });
+  }
+});
+
+// ✔️ SUPPRESSION LISTS PAGE (protected)
+router.get('/suppression-lists', ensureAuthenticated, async (req, res) => {
+  try {
+    const brands = await Segmentation.distinct('brand');
+    res.render("suppressionLists", {
+      pageTitle: "Suppression",
+      activePage: "suppression",
+      brands: brands.sort(),
+    });
+  } catch (err) {
+    console.error("suppression lists route failed:", err);
+    res.status(500).json({ success: false });
+  }
+});
+
 // ✔️ DATA RETENTION - Manual cleanup trigger (protected)
 router.post('/data-retention/cleanup', ensureAuthenticated, async (req, res) => {
   try {
@@ -234,7 +292,9 @@ router.post('/data-retention/cleanup', ensureAuthenticated, async (req, res) =>
       summary: {
         clonedEmailsDeleted: results.clonedEmails.deletedCount,
         createdListsDeleted: results.createdLists.deletedCount,
-        totalDeleted: results.clonedEmails.deletedCount + results.createdLists.deletedCount,
+        contactAssignmentsDeleted: results.contactAssignments.deletedCount,
+        propertyUpdateBatchesDeleted: results.propertyUpdateBatches.deletedCount,
+        totalDeleted: results.totalDeleted,
         retentionDays: RETENTION_DAYS
       }
     });
@@ -337,10 +397,9 @@ router.post('/api/lists/sizes', ensureAuthenticated, async (req, res) => {
 
     console.log(`[List Sizes] Fetching sizes for ${listIds.length} list(s)`);
 
-    // Helper function to fetch sizes with rate limiting
+    // Helper function to fetch sizes in batches; the HubSpot client keeps the calls within the rate limit
     async function fetchSizesWithRateLimit(listIds) {
       const BATCH_SIZE = 10; // Process 10 lists at a time
-      const DELAY_MS = 1000; // Wait 1 second between batches
       const sizes = {};
 
       for (let i = 0; i < listIds.length; i += BATCH_SIZE) {
@@ -350,10 +409,7 @@ router.post('/api/lists/sizes', ensureAuthenticated, async (req, res) => {
         const batchResults = await Promise.all(
           batch.map(async (listId) => {
             try {
-              const response = await axios.get(
-                `https://api.hubapi.com/crm/v3/lists/${listId}`,
-                { headers: hubspotHeaders }
-              );
+              const response = await hubspot.get(`/crm/v3/lists/${listId}`);
 
               const listData = response.data.list || response.data;
               const size = listData.objectCount || listData.size || 0;
@@ -369,11 +425,6 @@ router.post('/api/lists/sizes', ensureAuthenticated, async (req, res) => {
         batchResults.forEach(({ listId, size }) => {
           sizes[listId] = size;
         });
-
-        // Add delay between batches (except for the last batch)
-        if (i + BATCH_SIZE < listIds.length) {
-          await new Promise(resolve => setTimeout(resolve, DELAY_MS));
-        }
       }
 
       return sizes;
@@ -411,10 +462,7 @@ router.post('/api/emails/delete', ensureAuthenticated, async (req, res) => {
         if (clonedEmail) {
           // Delete from HubSpot first
           try {
-            await axios.delete(
-              `https://api.hubapi.com/marketing/v3/emails/${clonedEmail.clonedEmailId}`,
-              { headers: hubspotHeaders }
-            );
+            await hubspot.delete(`/marketing/v3/emails/${clonedEmail.clonedEmailId}`);
             console.log(`  ✓ Deleted cloned email from HubSpot: ${clonedEmail.clonedEmailId} (${clonedEmail.clonedEmailName})`);
           } catch (hubspotErr) {
             console.error(`  ⚠️  Failed to delete email ${clonedEmail.clonedEmailId} from HubSpot:`, hubspotErr.response?.status);
@@ -433,9 +481,6 @@ router.post('/api/emails/delete', ensureAuthenticated, async (req, res) => {
         console.error(`  ❌ Error deleting email ${id}:`, err.message);
         errors.push({ id, error: err.message });
       }
-
-      // Add delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 200));
     }
 
     console.log(`[Email Deletion] Completed: ${deletedCount}/${ids.length} deleted successfully\n`);
@@ -474,10 +519,7 @@ router.post('/api/lists/delete', ensureAuthenticated, async (req, res) => {
         if (list && list.listId) {
           // Delete from HubSpot first
           try {
-            await axios.delete(
-              `https://api.hubapi.com/crm/v3/lists/${list.listId}`,
-              { headers: hubspotHeaders }
-            );
+            await hubspot.delete(`/crm/v3/lists/${list.listId}`);
             console.log(`  ✓ Deleted list from HubSpot: ${list.listId} (${list.name})`);
           } catch (hubspotErr) {
             console.error(`  ⚠️  Failed to delete list ${list.listId} from HubSpot:`, hubspotErr.response?.status);
@@ -496,9 +538,6 @@ router.post('/api/lists/delete', ensureAuthenticated, async (req, res) => {
         console.error(`  ❌ Error deleting list ${id}:`, err.message);
         errors.push({ id, error: err.message });
       }
-
-      // Add delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 200));
     }
 
     console.log(`[List Deletion] Completed: ${deletedCount}/${ids.length} deleted successfully\n`);
@@ -515,6 +554,93 @@ router.post('/api/lists/delete', ensureAuthenticated, async (req, res) => {
   }
 });
 
+// ✔️ API - Roll back a created campaign list (protected)
+// Removes the memberships it added, restores contact properties and deletes the emptied list
+router.post('/api/lists/:listId/rollback', ensureAuthenticated, async (req, res) => {
+  try {
+    const listId = parseInt(req.params.listId);
+    if (!listId) {
+      return res.status(400).json({ success: false, message: "Invalid list ID" });
+    }
+
+    console.log(`\n[List Rollback] Rollback of list ${listId} requested by user: ${req.session.user}`);
+
+    const rollback = await rollbackCampaign(listId, {
+      reason: req.body.reason || 'Requested from List Manager',
+      requestedBy: req.session.user
+    });
+
+    if (!rollback) {
+      return res.status(404).json({ success: false, message: "List not found" });
+    }
+
+    res.json({
+      success: rollback.status === 'completed',
+      message: `Rollback ${rollback.status}`,
+      rollback
+    });
+  } catch (err) {
+    console.error("Error rolling back list:", err);
+    res.status(500).json({ success: false, message: "Failed to roll back list", error: err.message });
+  }
+});
+
+// ✔️ API - Download the contacts selected for a created list (protected)
+// ?details=true adds email and name read from HubSpot
+router.get('/api/lists/:listId/contacts.csv', ensureAuthenticated, async (req, res) => {
+  try {
+    const listId = parseInt(req.params.listId);
+    if (!listId) {
+      return res.status(400).json({ success: false, message: "Invalid list ID" });
+    }
+
+    const list = await CreatedList.findOne({ listId }).lean();
+    if (!list) {
+      return res.status(404).json({ success: false, message: "List not found" });
+    }
+
+    const csv = await buildListContactsCsv(list, { includeDetails: req.query.details === 'true' });
+    console.log(`[Contact Export] ${csv.contactCount} contacts of list ${listId} exported by user: ${req.session.user}`);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${csv.filename}"`
+    });
+    res.send(csv.body);
+  } catch (err) {
+    console.error("Error exporting list contacts:", err);
+    res.status(500).json({ success: false, message: "Failed to export list contacts", error: err.message });
+  }
+});
+
+// ✔️ API - Retry the failed membership adds of a created list (protected)
+router.post('/api/lists/:listId/retry-failed', ensureAuthenticated, async (req, res) => {
+  try {
+    const listId = parseInt(req.params.listId);
+    if (!listId) {
+      return res.status(400).json({ success: false, message: "Invalid list ID" });
+    }
+
+    console.log(`\n[List Retry] Retry of failed contacts for list ${listId} requested by user: ${req.session.user}`);
+
+    const result = await retryFailedMemberships(listId);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "List not found" });
+    }
+
+    res.json({
+      success: result.failedCount === 0,
+      message: result.retriedCount === 0
+        ? "No failed contacts to retry"
+        : `Added ${result.addedCount} of ${result.retriedCount} contacts${result.failedCount > 0 ? `, ${result.failedCount} still failing` : ''}`,
+      ...result
+    });
+  } catch (err) {
+    console.error("Error retrying failed contacts:", err);
+    res.status(500).json({ success: false, message: "Failed to retry contacts", error: err.message });
+  }
+});
+
 // ✔️ BATCH FIX LEGACY IDs - Fix all incorrect legacy IDs in database (protected)
 router.post('/fix-all-legacy-ids', ensureAuthenticated, async (req, res) => {
   try {
@@ -546,13 +672,12 @@ router.post('/fix-all-legacy-ids', ensureAuthenticated, async (req, res) => {
     // Helper function to fetch legacy ID from HubSpot
     const getLegacyIdFromHubSpot = async (ilsListId) => {
       try {
-        const searchResponse = await axios.post(
-          `https://api.hubapi.com/crm/v3/lists/search`,
+        const searchResponse = await hubspot.post(
+          '/crm/v3/lists/search',
           {
             listIds: [String(ilsListId)],
             additionalProperties: ["hs_classic_list_id"]
-          },
-          { headers: hubspotHeaders }
+          }
         );
 
         if (searchResponse.data?.lists?.length > 0) {
@@ -596,9 +721,6 @@ router.post('/fix-all-legacy-ids', ensureAuthenticated, async (req, res) => {
           ilsId: ilsListId,
           reason: 'HubSpot API failed'
         });
-
-        // Add delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
         continue;
       }
 
@@ -623,9 +745,6 @@ router.post('/fix-all-legacy-ids', ensureAuthenticated, async (req, res) => {
           newLegacyId: correctLegacyId
         });
       }
-
-      // Add delay between requests to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
 
     // Print summary
@@ -1,11 +1,24 @@
 const express = require("express");
 const router = express.Router();
-const axios = require("axios");
 const mongoose = require("mongoose");
 require("dotenv").config();
+const { hubspot, HUBSPOT_BASE_URL } = require("../service/hubspotClient");
+
+// Marketing emails path, always sent through the shared client so HUBSPOT_BASE_URL picks the host
+// (e.g. service/fakeHubspot.js offline). Older .env files set BASE_URL to an absolute HubSpot URL:
+// only its path is used, its host is ignored so offline runs never reach the real portal.
+function resolveEmailsPath(configured) {
+  if (!configured) return "/marketing/v3/emails";
+  if (!/^https?:\/\//i.test(configured)) return configured;
+
+  const url = new URL(configured);
+  if (url.origin !== new URL(HUBSPOT_BASE_URL).origin) {
+    console.warn(`⚠️ [Cloner] Ignoring host of BASE_URL ${url.origin}, emails are sent to HUBSPOT_BASE_URL ${HUBSPOT_BASE_URL}`);
+  }
+  return url.pathname.replace(/\/+$/, "");
+}
 
-const HUBSPOT_ACCESS_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
-const BASE_URL = process.env.BASE_URL;
+const BASE_URL = resolveEmailsPath(process.env.BASE_URL);
 
 // Import your ClonedEmail model
 const ClonedEmail = require("../models/clonedEmail");
@@ -32,15 +45,11 @@ async function batchCheckEmailsExist(emailNames) {
 
       const batchPromises = batch.map(async (emailName) => {
         try {
-          const response = await axios.get(`${BASE_URL}`, {
+          const response = await hubspot.get(`${BASE_URL}`, {
             params: {
               name: emailName,
               limit: 1,
             },
-            headers: {
-              Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-              "Content-Type": "application/json",
-            },
           });
 
           const exists = response.data.total > 0 || (response.data.results && response.data.results.length > 0);
@@ -55,11 +64,6 @@ async function batchCheckEmailsExist(emailNames) {
       batchResults.forEach(result => {
         existsMap[result.emailName] = result.exists;
       });
-
-      // Small delay between batches
-      if (i + 5 < emailNames.length) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
     }
 
     const existingCount = Object.values(existsMap).filter(exists => exists).length;
@@ -77,15 +81,11 @@ async function batchCheckEmailsExist(emailNames) {
 // Keep single check for fallback
 async function checkEmailExists(emailName) {
   try {
-    const response = await axios.get(`${BASE_URL}`, {
+    const response = await hubspot.get(`${BASE_URL}`, {
       params: {
         name: emailName,
         limit: 1,
       },
-      headers: {
-        Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-      },
     });
 
     const exists = response.data.total > 0 || (response.data.results && response.data.results.length > 0);
@@ -109,11 +109,7 @@ async function cloneAndScheduleEmail(
 
   try {
     // First, get the original email with ALL properties including custom ones and lists
-    const response = await axios.get(`${BASE_URL}/${originalEmailId}`, {
-      headers: {
-        Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-      },
+    const response = await hubspot.get(`${BASE_URL}/${originalEmailId}`, {
       // IMPORTANT: Use the properties parameter to get custom properties
       params: {
         properties: "name,emailCategory,mdlzBrand" // Add all custom properties here
@@ -218,19 +214,15 @@ async function cloneAndScheduleEmail(
     cloneAttempted = true;
 
     try {
-      const cloneResponse = await axios({
-        method: 'POST',
-        url: `${BASE_URL}/clone`,
-        data: {
+      const cloneResponse = await hubspot.post(
+        `${BASE_URL}/clone`,
+        {
           id: String(originalEmailId),
           cloneName: newEmailName,
           language: "en"
         },
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      });
+        { retry: 'throttle' } // A failed clone is verified by name below instead of being sent again
+      );
 
       clonedEmail = cloneResponse.data;
     } catch (cloneError) {
@@ -243,15 +235,11 @@ async function cloneAndScheduleEmail(
 
       // Check if the email exists in HubSpot
       try {
-        const verifyResponse = await axios.get(`${BASE_URL}`, {
+        const verifyResponse = await hubspot.get(`${BASE_URL}`, {
           params: {
             name: newEmailName,
             limit: 1,
           },
-          headers: {
-            Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-            "Content-Type": "application/json",
-          },
         });
 
         if (verifyResponse.data.results && verifyResponse.data.results.length > 0) {
@@ -341,12 +329,7 @@ async function cloneAndScheduleEmail(
       }
 
       // Update the draft email using PATCH (correct method for updating drafts)
-      await axios.patch(`${BASE_URL}/${clonedEmail.id}/draft`, updatePayload, {
-        headers: {
-          Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-      });
+      await hubspot.patch(`${BASE_URL}/${clonedEmail.id}/draft`, updatePayload);
       console.log(`📝 Email draft updated with recipient lists`);
     } catch (updateError) {
       console.error(`⚠️ Update error (email still cloned): ${updateError.response?.status} - ${updateError.message}`);
@@ -364,12 +347,7 @@ async function cloneAndScheduleEmail(
       };
 
       // Use the publish endpoint with sendAt to schedule the email
-      await axios.post(`https://api.hubapi.com/marketing/v3/emails/${clonedEmail.id}/publish`, schedulePayload, {
-        headers: {
-          Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-      });
+      await hubspot.post(`${BASE_URL}/${clonedEmail.id}/publish`, schedulePayload, { retry: 'throttle' });
       console.log(`✅ Email scheduled successfully for ${clonedDate.toISOString()} (timestamp: ${publishDateTimestamp})`);
     } catch (scheduleError) {
       console.error(`❌ Schedule error: ${scheduleError.response?.status} - ${scheduleError.message}`);
@@ -422,11 +400,7 @@ async function cloneAndScheduleEmail(
 router.get("/debug-email/:emailId", async (req, res) => {
   try {
     const emailId = req.params.emailId;
-    const response = await axios.get(`${BASE_URL}/${emailId}`, {
-      headers: {
-        Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-      },
+    const response = await hubspot.get(`${BASE_URL}/${emailId}`, {
       params: {
         properties: "name,emailCategory,mdlzBrand"
       }
@@ -466,11 +440,7 @@ async function EmailCloner(emailIds, cloningCount, strategy = "smart", customOpt
 
     for (const emailId of emailIds) {
       try {
-        const response = await axios.get(`${BASE_URL}/${emailId}`, {
-          headers: {
-            Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-            "Content-Type": "application/json",
-          },
+        const response = await hubspot.get(`${BASE_URL}/${emailId}`, {
           params: {
             properties: "name"
           }
@@ -681,11 +651,6 @@ async function EmailCloner(emailIds, cloningCount, strategy = "smart", customOpt
           stats.errors++;
         }
       });
-
-      // Small delay between batches
-      if (i + BATCH_SIZE < emailsToProcess.length) {
-        await new Promise(resolve => setTimeout(resolve, 300));
-      }
     }
 
     return {
@@ -720,11 +685,7 @@ async function cloneAndScheduleEmailOptimized(
     console.log(`⏰ Scheduled for: ${scheduledTime.toISOString()} (${hour}:${minute < 10 ? '0' + minute : minute})`);
 
     // Get original email with custom properties and lists
-    const response = await axios.get(`${BASE_URL}/${originalEmailId}`, {
-      headers: {
-        Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-      },
+    const response = await hubspot.get(`${BASE_URL}/${originalEmailId}`, {
       params: {
         properties: "name,emailCategory,mdlzBrand"
       }
@@ -759,19 +720,15 @@ async function cloneAndScheduleEmailOptimized(
     cloneAttempted = true;
 
     try {
-      const cloneResponse = await axios({
-        method: 'POST',
-        url: `${BASE_URL}/clone`,
-        data: {
+      const cloneResponse = await hubspot.post(
+        `${BASE_URL}/clone`,
+        {
           id: String(originalEmailId),
           cloneName: newEmailName,
           language: "en"
         },
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      });
+        { retry: 'throttle' } // A failed clone is verified by name below instead of being sent again
+      );
 
       clonedEmail = cloneResponse.data;
     } catch (cloneError) {
@@ -784,15 +741,11 @@ async function cloneAndScheduleEmailOptimized(
 
       // Check if the email exists in HubSpot
       try {
-        const verifyResponse = await axios.get(`${BASE_URL}`, {
+        const verifyResponse = await hubspot.get(`${BASE_URL}`, {
           params: {
             name: newEmailName,
             limit: 1,
           },
-          headers: {
-            Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-            "Content-Type": "application/json",
-          },
         });
 
         if (verifyResponse.data.results && verifyResponse.data.results.length > 0) {
@@ -882,12 +835,7 @@ async function cloneAndScheduleEmailOptimized(
       }
 
       // Update the draft email using PATCH (correct method for updating drafts)
-      await axios.patch(`${BASE_URL}/${clonedEmail.id}/draft`, updatePayload, {
-        headers: {
-          Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-      });
+      await hubspot.patch(`${BASE_URL}/${clonedEmail.id}/draft`, updatePayload);
       console.log(`📝 Email draft updated with recipient lists`);
     } catch (updateError) {
       console.error(`⚠️ Update error (email still cloned): ${updateError.response?.status} - ${updateError.message}`);
@@ -905,12 +853,7 @@ async function cloneAndScheduleEmailOptimized(
       };
 
       // Use the publish endpoint with sendAt to schedule the email
-      await axios.post(`https://api.hubapi.com/marketing/v3/emails/${clonedEmail.id}/publish`, schedulePayload, {
-        headers: {
-          Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-      });
+      await hubspot.post(`${BASE_URL}/${clonedEmail.id}/publish`, schedulePayload, { retry: 'throttle' });
       console.log(`✅ Email scheduled successfully for ${scheduledTime.toISOString()} (timestamp: ${publishDateTimestamp})`);
     } catch (scheduleError) {
       console.error(`❌ Schedule error: ${scheduleError.response?.status} - ${scheduleError.message}`);
@@ -1092,15 +1035,7 @@ router.delete("/cloned-emails/:id", async (req, res) => {
       try {
         console.log(`Attempting to delete email ${clonedEmail.clonedEmailId} from HubSpot using URL: ${BASE_URL}/${clonedEmail.clonedEmailId}`);
 
-        const deleteResponse = await axios.delete(
-          `${BASE_URL}/${clonedEmail.clonedEmailId}`,
-          {
-            headers: {
-              Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
+        const deleteResponse = await hubspot.delete(`${BASE_URL}/${clonedEmail.clonedEmailId}`);
 
         hubspotDeleted = true;
         console.log(`✓ Successfully deleted email ${clonedEmail.clonedEmailId} from HubSpot. Response status: ${deleteResponse.status}`);
@@ -1147,15 +1082,10 @@ router.post("/publish-email", async (req, res) => {
       : {};
 
     // Call HubSpot API to publish the email
-    const response = await axios.post(
-      `https://api.hubapi.com/marketing/v3/emails/${emailId}/publish`,
+    const response = await hubspot.post(
+      `${BASE_URL}/${emailId}/publish`,
       requestBody,
-      {
-        headers: {
-          Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
+      { retry: 'throttle' }
     );
 
     // Update database if email exists
@@ -1,9 +1,12 @@
 require('dotenv').config();
 const express = require("express");
 const router = express.Router();
-const axios = require('axios');
-const Segmentation = require('../models/segmentation');
 const CreatedList = require('../models/list');
+const { getLegacySegmentId } = require('../service/listCreation');
+const { resolveDateWindow, describeWindowMatches, DateFilterError } = require('../service/dateFilters');
+const { CAMPAIGN_MODES, isValidMode } = require('../service/campaignModes');
+const { findCampaignsForFilters, startCampaignRun, previewCampaignRun, CAMPAIGN_CONCURRENCY } = require('../service/campaignRunner');
+const { hubspot, getHubSpotStats } = require('../service/hubspotClient');
 
 // Authentication middleware
 function ensureAuthenticated(req, res, next) {
@@ -14,585 +17,110 @@ function ensureAuthenticated(req, res, next) {
 }
 
 // Config
-const HUBSPOT_ACCESS_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
 const HUBSPOT_PORTAL_ID = process.env.HUBSPOT_PORTAL_ID;
-const CONCURRENCY_LIMIT = 1;
-const RETRIEVAL_BATCH_SIZE = parseInt(process.env.HUBSPOT_RETRIEVAL_BATCH_SIZE) || 1000;
-const MAX_RETRIES = parseInt(process.env.HUBSPOT_MAX_RETRIES) || 3;
-const INTER_LIST_DELAY_MS = parseInt(process.env.HUBSPOT_INTER_LIST_DELAY_MINUTES || 3) * 60 * 1000;
-
-const hubspotHeaders = {
-  Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
-  'Content-Type': 'application/json'
-};
-
-const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-
-const getFormattedDate = (dateInput) => {
-  const date = new Date(dateInput);
-  return `${date.getDate()} ${monthNames[date.getMonth()]} ${date.getFullYear()}`;
-};
-
-// Updated getFilteredDate function to handle all possible date filters
-const getFilteredDate = (daysFilter) => {
-  const now = new Date();
-  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
-  
-  if (daysFilter === 'today') return today.toISOString().split('T')[0];
-  
-  if (daysFilter.startsWith('t+')) {
-    const daysToAdd = parseInt(daysFilter.slice(2));
-    if (isNaN(daysToAdd)) return null;
-    
-    const futureDate = new Date(today);
-    futureDate.setUTCDate(today.getUTCDate() + daysToAdd);
-    return futureDate.toISOString().split('T')[0];
-  }
-  
-  return null;
-};
-
-const chunkArray = (arr, size) => {
-  const chunks = [];
-  for (let i = 0; i < arr.length; i += size) chunks.push(arr.slice(i, i + size));
-  return chunks;
-};
-
-const progressiveChunks = (arr, sizes = [300, 100, 50, 1]) => {
-  const result = [];
-  let index = 0;
-  for (const size of sizes) {
-    while (index < arr.length) {
-      const chunk = arr.slice(index, index + size);
-      if (!chunk.length) break;
-      result.push(chunk);
-      index += size;
-    }
-  }
-  return result;
-};
-
-// Legacy lists are NOT supported by v3 API - must be migrated to ILS
-const getContactsFromLegacyList = async (listId, maxCount = Infinity) => {
-  console.log(`❌ List ${listId} is a LEGACY list - v3 API does not support legacy lists`);
-  console.log(`📋 MIGRATION REQUIRED:`);
-  console.log(`   Option 1: Manually migrate in HubSpot UI (Contacts → Lists → Clone to ILS)`);
-  console.log(`   Option 2: Use migration API: POST /api/migrate-legacy-list { "legacyListId": "${listId}" }`);
-
-  throw new Error(
-    `List ${listId} is a legacy list. HubSpot v3 API only supports ILS (Integrated List Segmentation) lists. ` +
-    `Please migrate this list to ILS format. Migration options: ` +
-    `1) HubSpot UI: Contacts → Lists → Find list ${listId} → Actions → Clone as ILS list, OR ` +
-    `2) Use API: POST /api/migrate-legacy-list with body {"legacyListId": "${listId}", "newListName": "Your List Name"}`
-  );
-};
-
-const getContactsFromList = async (listId, maxCount = Infinity) => {
-  let allContacts = [];
-  let hasMore = true;
-  let after = undefined;
-  let consecutiveErrors = 0;
-  let totalAttempts = 0;
-  let isLegacyList = false;
-  let v3Success = false;
-
-  while (hasMore && allContacts.length < maxCount) {
-    try {
-      const countToFetch = Math.min(RETRIEVAL_BATCH_SIZE, maxCount - allContacts.length);
-      totalAttempts++;
-
-      // Build params object for v3 API
-      const params = { limit: countToFetch };
-      if (after) {
-        params.after = after;
-      }
-
-      const res = await axios.get(
-        `https://api.hubapi.com/crm/v3/lists/${listId}/memberships`,
-        {
-          headers: hubspotHeaders,
-          params: params,
-          timeout: 30000 // 30 second timeout
-        }
-      );
-
-      v3Success = true; // Mark that v3 API call succeeded
-      const results = res.data.results || [];
-      const newContacts = results.map(record => parseInt(record.recordId));
-      allContacts.push(...newContacts);
 
-      // v3 API uses paging with 'after' cursor
-      hasMore = res.data.paging?.next?.after && allContacts.length < maxCount;
-      after = res.data.paging?.next?.after;
-      consecutiveErrors = 0; // Reset error counter on success
+// Validate the days and mode filters of a list creation request.
+// Returns { window, modeFilter } or { error } with the 400 response body.
+function parseRunFilters(body) {
+  const { daysFilter, modeFilter, startDate, endDate, timezone } = body;
 
-      if (allContacts.length >= maxCount) {
-        allContacts = allContacts.slice(0, maxCount);
-        break;
-      }
-
-      // Small delay between successful requests to avoid rate limiting
-      if (hasMore) {
-        await new Promise(r => setTimeout(r, 200));
-      }
-    } catch (error) {
-      // If 404 error on first attempt, this is likely a legacy list
-      if (error.response?.status === 404 && totalAttempts === 1) {
-        isLegacyList = true;
-        break;
-      }
-
-      consecutiveErrors++;
-
-      // If we have some contacts and hit an error, return what we have
-      if (allContacts.length > 0 && consecutiveErrors >= MAX_RETRIES) {
-        break;
-      }
-
-      // If no contacts yet and max retries reached, throw error
-      if (allContacts.length === 0 && consecutiveErrors >= MAX_RETRIES) {
-        console.error(`❌ Failed to fetch contacts from list ${listId}`);
-        throw new Error(`Unable to fetch contacts from list ${listId}: ${error.message}`);
-      }
-
-      // Exponential backoff for retries
-      const delay = Math.min(1000 * Math.pow(2, consecutiveErrors - 1), 10000);
-      await new Promise(r => setTimeout(r, delay));
-    }
-  }
-
-  // If v3 succeeded but returned 0 contacts, try v1 API as fallback for legacy lists
-  if (v3Success && allContacts.length === 0 && !isLegacyList) {
-    try {
-      const legacyContacts = await getContactsFromLegacyList(listId, maxCount);
-      if (legacyContacts.length > 0) {
-        allContacts = legacyContacts;
-      }
-    } catch (legacyError) {
-      // If legacy API also fails, just use the empty v3 results
-    }
-  } else if (isLegacyList) {
-    // If detected as legacy list via 404, use v1 API
-    allContacts = await getContactsFromLegacyList(listId, maxCount);
-  }
-
-  const uniqueContacts = [...new Set(allContacts)];
-  return uniqueContacts;
-};
-
-// Fetch legacy segment ID for a given ILS list using Search API
-const getLegacySegmentId = async (ilsListId) => {
+  let window;
   try {
-    console.log(`  🔍 Fetching legacy segment ID for ILS list: ${ilsListId}`);
-
-    // Use Search API with hs_classic_list_id property (the ONLY reliable way to get legacy ID)
-    const searchResponse = await axios.post(
-      `https://api.hubapi.com/crm/v3/lists/search`,
-      {
-        listIds: [String(ilsListId)],
-        additionalProperties: ["hs_classic_list_id"]
-      },
-      { headers: hubspotHeaders }
-    );
-
-    if (searchResponse.data &&
-        searchResponse.data.lists &&
-        searchResponse.data.lists.length > 0) {
-
-      const listData = searchResponse.data.lists[0];
-      const legacyId = listData.additionalProperties?.hs_classic_list_id;
-
-      if (legacyId) {
-        console.log(`  ✅ Found legacy segment ID: ${legacyId} (ILS ID: ${ilsListId})`);
-        return legacyId;
-      } else {
-        console.log(`  ⚠️ No hs_classic_list_id in response for ILS list ${ilsListId}`);
-        return null;
-      }
-    } else {
-      console.log(`  ⚠️ No lists found in search response for ILS list ${ilsListId}`);
-      return null;
-    }
+    window = resolveDateWindow({ daysFilter, startDate, endDate, timezone });
   } catch (error) {
-    console.error(`  ❌ Failed to fetch legacy segment ID for ILS list ${ilsListId}:`, error.message);
-    if (error.response?.data) {
-      console.error(`  Error details:`, error.response.data);
-    }
-    return null;
-  }
-};
-
-const createHubSpotList = async (name) => {
-  console.log(`📝 Creating list: ${name}`);
-  try {
-    const res = await axios.post(
-      'https://api.hubapi.com/crm/v3/lists',
-      {
-        name,
-        objectTypeId: '0-1', // 0-1 is for contact lists
-        processingType: 'MANUAL' // MANUAL allows adding/removing via API
-      },
-      { headers: hubspotHeaders }
-    );
-
-    // HubSpot v3 API nests the list data under 'list' property
-    const listData = res.data.list || res.data;
-
-    // Ensure listId exists in response
-    if (!listData.listId) {
-      throw new Error('List created but listId not returned from HubSpot API');
-    }
-
-    // Fetch the legacy segment ID after list creation
-    const legacyListId = await getLegacySegmentId(listData.listId);
-
-    // Add legacy ID to the returned data
+    if (!(error instanceof DateFilterError)) throw error;
     return {
-      ...listData,
-      legacyListId
+      error: {
+        error: 'Invalid date filter',
+        message: error.message,
+        received: error.received
+      }
     };
-  } catch (error) {
-    console.error(`❌ Failed to create list: ${name}`);
-    throw error;
   }
-};
 
-const verifyListIsManual = async (listId) => {
-  try {
-    const res = await axios.get(
-      `https://api.hubapi.com/crm/v3/lists/${listId}`,
-      { headers: hubspotHeaders }
-    );
-
-    // HubSpot v3 API may return data nested under 'list' property or at root level
-    const listData = res.data.list || res.data;
-
-    const processingType = listData.processingType || listData.processing_type;
-
-    if (!processingType || processingType !== 'MANUAL') {
-      return false;
-    }
-
-    return true;
-  } catch (error) {
-    return false;
-  }
-};
-
-const addContactsToList = async (listId, contacts, skipVerification = false) => {
-  if (!contacts || contacts.length === 0) {
-    return 0;
-  }
-
-  // Verify list is MANUAL before attempting to add contacts (unless skipped)
-  if (!skipVerification) {
-    const isManual = await verifyListIsManual(listId);
-    if (!isManual) {
-      return 0;
-    }
-  }
-
-  const chunks = progressiveChunks(contacts);
-  let successCount = 0;
-  let failedChunks = [];
-
-  for (const [index, chunk] of chunks.entries()) {
-    let retries = 0;
-    let success = false;
-
-    while (retries < MAX_RETRIES && !success) {
-      try {
-        // v3 API expects a direct array of string IDs (not wrapped in an object!)
-        const stringIds = chunk.map(id => String(id));
-
-        await axios.put(
-          `https://api.hubapi.com/crm/v3/lists/${listId}/memberships/add`,
-          stringIds,  // Send array directly, not { recordIds: [...] }
-          {
-            headers: hubspotHeaders,
-            timeout: 30000
-          }
-        );
-        console.log(`✅ Added chunk of ${chunk.length} contacts to list ${listId}`);
-        successCount += chunk.length;
-        success = true;
-        await new Promise(r => setTimeout(r, 500));
-      } catch (error) {
-        retries++;
-
-        if (retries < MAX_RETRIES) {
-          const delay = Math.min(1000 * Math.pow(2, retries - 1), 5000);
-          await new Promise(r => setTimeout(r, delay));
-        } else {
-          failedChunks.push(chunk);
-        }
+  if (!isValidMode(modeFilter)) {
+    return {
+      error: {
+        error: 'Invalid mode filter',
+        message: `Valid values are: ${CAMPAIGN_MODES.join(', ')}`,
+        received: modeFilter
       }
-    }
-  }
-
-  return successCount;
-};
-
-const updateContactProperties = async (contactIds, dateValue, brandValue) => {
-  const epochMidnight = new Date(dateValue);
-  epochMidnight.setUTCHours(0, 0, 0, 0);
-  const epochTime = epochMidnight.getTime().toString();
-
-  const chunks = chunkArray(contactIds, 100);
-  console.log(`🕓 Updating properties for ${contactIds.length} contacts`);
-
-  for (const chunk of chunks) {
-    const payload = {
-      inputs: chunk.map(contactId => ({
-        id: contactId.toString(),
-        properties: {
-          recent_marketing_email_sent_date: epochTime,
-          last_marketing_email_sent_brand: brandValue
-        }
-      }))
     };
-
-    try {
-      await axios.post(
-        'https://api.hubapi.com/crm/v3/objects/contacts/batch/update',
-        payload,
-        { headers: hubspotHeaders }
-      );
-      console.log(`✅ Updated batch of ${chunk.length} contacts`);
-    } catch (err) {
-      console.error(`❌ Failed batch update`);
-    }
-
-    await new Promise(r => setTimeout(r, 300));
-  }
-};
-
-const processSingleCampaign = async (config, daysFilter, modeFilter, usedContactsSet) => {
-  const { brand, campaign, primaryListId, secondaryListId, count, domain, date, sendContactListId, lastMarketingEmailSentBrand } = config;
-
-  console.log(`🚀 Starting campaign: ${campaign} | Brand: ${brand} | Domain: ${domain}`);
-
-  let primaryContacts = [];
-  let secondaryContacts = [];
-  let primaryBeforeFilter = 0;
-  let primaryAfterFilter = 0;
-  let secondaryBeforeFilter = 0;
-  let secondaryAfterFilter = 0;
-
-  try {
-    // Fetch more contacts than needed to account for filtering
-    const primaryFetchCount = Math.max(count * 3, 500); // Fetch at least 3x or 500 minimum
-    primaryContacts = await getContactsFromList(primaryListId, primaryFetchCount);
-    primaryBeforeFilter = primaryContacts.length;
-
-    // Filter out used contacts
-    primaryContacts = primaryContacts.filter(vid => !usedContactsSet.has(vid));
-    primaryAfterFilter = primaryContacts.length;
-
-    // If we need more contacts and have a secondary list
-    if (primaryAfterFilter < count && secondaryListId) {
-      const secondaryNeeded = count - primaryAfterFilter;
-      const secondaryFetchCount = Math.max(secondaryNeeded * 3, 500);
-
-      secondaryContacts = await getContactsFromList(secondaryListId, secondaryFetchCount);
-      secondaryBeforeFilter = secondaryContacts.length;
-
-      secondaryContacts = secondaryContacts.filter(vid => !usedContactsSet.has(vid));
-      secondaryAfterFilter = secondaryContacts.length;
-    }
-  } catch (error) {
-    console.error(`❌ Error fetching contacts for campaign ${campaign}`);
-    // Continue with whatever contacts we have
   }
 
-  // Combine all available contacts
-  const allContacts = [...primaryContacts, ...secondaryContacts];
-
-  // Take what we can, up to the requested count
-  const selectedContacts = allContacts.slice(0, count);
-
-  // Add selected contacts to used set
-  selectedContacts.forEach(vid => usedContactsSet.add(vid));
-
-  const fulfillmentPercentage = count > 0 ? Math.round((selectedContacts.length / count) * 100) : 0;
+  return { window, modeFilter };
+}
 
-  // Log primary and secondary list info
-  console.log(`📥 Primary List: ${primaryBeforeFilter} available | ${primaryBeforeFilter - primaryAfterFilter} filtered | ${primaryAfterFilter} remaining`);
-  if (secondaryListId) {
-    console.log(`📥 Secondary List: ${secondaryBeforeFilter} available | ${secondaryBeforeFilter - secondaryAfterFilter} filtered | ${secondaryAfterFilter} remaining`);
+// Validate the samplingSeeds a dry run returned (Segmentation id -> seed).
+// Returns { samplingSeeds } or { error } with the 400 response body.
+function parseSamplingSeeds(value) {
+  if (value === undefined || value === null) {
+    return { samplingSeeds: {} };
   }
-  console.log(`✂️ Final Selection: ${selectedContacts.length} of ${count} requested (${fulfillmentPercentage}%)`);
-
-  const listName = `${brand} - ${campaign} - ${domain} - ${getFormattedDate(date)}`;
-
-  // Always create the list even if empty (for tracking purposes)
-  const newList = await createHubSpotList(listName);
-
-  let actualContactsAdded = 0;
-
-  if (selectedContacts.length > 0) {
-    try {
-      // Add to send contact list if specified (skip verification to bypass API parsing issue)
-      if (sendContactListId) {
-        await addContactsToList(sendContactListId, selectedContacts, true);
-      }
-
-      // Add to the newly created list (skip verification - we know it's MANUAL since we just created it)
-      actualContactsAdded = await addContactsToList(newList.listId, selectedContacts, true);
-
-      // Update contact properties
-      await updateContactProperties(selectedContacts, date, lastMarketingEmailSentBrand);
-    } catch (error) {
-      console.error(`❌ Error adding contacts for ${campaign}`);
-      // Continue even if there's an error adding contacts
-    }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: { error: 'Invalid sampling seeds', message: 'samplingSeeds must map Segmentation ids to seeds' } };
   }
 
-  console.log(`✅ List created: ${listName} | ILS ID: ${newList.listId} | Legacy ID: ${newList.legacyListId || 'N/A'}`);
-
-  const createdList = await CreatedList.create({
-    name: listName,
-    listId: newList.listId,
-    legacyListId: newList.legacyListId, // Store legacy segment ID
-    createdDate: new Date(),
-    deleted: newList.deleted,
-    filterCriteria: { days: daysFilter, mode: modeFilter },
-    campaignDetails: { brand, campaign, date },
-    contactCount: actualContactsAdded, // Use actual count, not selectedContacts.length
-    requestedCount: count,
-    availableCount: primaryBeforeFilter + secondaryBeforeFilter,
-    filteredCount: (primaryBeforeFilter - primaryAfterFilter) + (secondaryBeforeFilter - secondaryAfterFilter),
-    fulfillmentPercentage
-  });
-
-  return {
-    success: true,
-    listName,
-    listId: newList.listId,
-    legacyListId: newList.legacyListId, // Include in return value
-    contactCount: actualContactsAdded, // Use actual count, not selectedContacts.length
-    requestedCount: count,
-    availableCount: primaryBeforeFilter + secondaryBeforeFilter,
-    filteredCount: (primaryBeforeFilter - primaryAfterFilter) + (secondaryBeforeFilter - secondaryAfterFilter),
-    fulfillmentPercentage,
-    createdList
-  };
-};
-
-const processCampaignsWithDelay = async (listConfigs, daysFilter, modeFilter) => {
-  const results = [];
-  const usedContacts = new Set();
-
-  for (const [index, config] of listConfigs.entries()) {
-    const startTime = Date.now();
-    const currentIndex = index + 1;
-    const total = listConfigs.length;
-
-    try {
-      const result = await processSingleCampaign(config, daysFilter, modeFilter, usedContacts);
-      results.push({ status: 'fulfilled', value: result });
-
-      if (index < total - 1) {
-        const elapsed = Date.now() - startTime;
-        const delay = Math.max(0, INTER_LIST_DELAY_MS - elapsed);
-        await new Promise(r => setTimeout(r, delay));
-      }
-    } catch (error) {
-      console.error(`❌ Campaign failed: ${config.campaign}`);
-      results.push({ status: 'rejected', reason: error });
-
-      const elapsed = Date.now() - startTime;
-      const delay = Math.max(0, INTER_LIST_DELAY_MS - elapsed);
-      if (index < listConfigs.length - 1) {
-        await new Promise(r => setTimeout(r, delay));
+  const invalid = Object.entries(value).find(([, seed]) => !Number.isInteger(seed) || seed < 0 || seed >= 2 ** 32);
+  if (invalid) {
+    return {
+      error: {
+        error: 'Invalid sampling seeds',
+        message: 'Each seed must be a whole number from 0 to 4294967295',
+        received: { [invalid[0]]: invalid[1] }
       }
-    }
+    };
   }
-
-  const successful = results.filter(r => r.status === 'fulfilled');
-  const failed = results.filter(r => r.status === 'rejected');
-
-  console.log(`\n🎯 Campaign run complete`);
-  console.log(`✅ Success: ${successful.length}`);
-  console.log(`❌ Failed: ${failed.length}`);
-  console.log(`📊 Total Requested: ${listConfigs.reduce((sum, c) => sum + c.count, 0)}`);
-  console.log(`📊 Total Fulfilled: ${successful.reduce((sum, r) => sum + r.value.contactCount, 0)}`);
-  console.log(`📊 Average Fulfillment: ${Math.round(successful.reduce((sum, r) => sum + r.value.fulfillmentPercentage, 0) / (successful.length || 1))}%`);
-
-  return results;
-};
+  return { samplingSeeds: value };
+}
 
 // Updated route handler with better validation
 router.post('/create-lists', async (req, res) => {
   try {
-    const { daysFilter, modeFilter } = req.body;
-    console.log(`📨 Received request to create lists | Filters → Days: ${daysFilter}, Mode: ${modeFilter}`);
-
-    // Validate input parameters
-    const validDaysFilters = ['today', 't+1', 't+2', 't+3', 't+4', 't+5', 'all'];
-    const validModeFilters = ['BAU', 're-engagement', 're-activation'];
-    
-    if (!daysFilter || !validDaysFilters.includes(daysFilter)) {
-      return res.status(400).json({ 
-        error: 'Invalid date filter',
-        message: `Valid values are: ${validDaysFilters.join(', ')}`,
-        received: daysFilter
-      });
-    }
-
-    if (!modeFilter || !validModeFilters.includes(modeFilter)) {
-      return res.status(400).json({ 
-        error: 'Invalid mode filter',
-        message: `Valid values are: ${validModeFilters.join(', ')}`,
-        received: modeFilter
-      });
-    }
-
-    let query = {};
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const allowOverlap = req.body.allowOverlap === true || req.body.allowOverlap === 'true';
 
-    if (daysFilter && daysFilter !== 'all') {
-      const filterDate = getFilteredDate(daysFilter);
-      if (!filterDate) {
-        return res.status(400).json({ 
-          error: 'Invalid date filter value',
-          message: 'Could not calculate date from filter',
-          received: daysFilter
-        });
-      }
-      query.date = filterDate;
+    const parsed = parseRunFilters(req.body);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
     }
-
-    if (modeFilter && modeFilter !== 'BAU') {
-      query.campaign = { $regex: modeFilter === 're-engagement' ? /re-engagement/i : /re-activation/i };
-    } else if (modeFilter === 'BAU') {
-      query.$and = [
-        { campaign: { $not: { $regex: /re-engagement/i } } },
-        { campaign: { $not: { $regex: /re-activation/i } } }
-      ];
+    const { window, modeFilter } = parsed;
+    const seeds = parseSamplingSeeds(req.body.samplingSeeds);
+    if (seeds.error) {
+      return res.status(400).json(seeds.error);
     }
+    const daysFilter = window.daysFilter;
+    const dateFilters = { daysFilter, startDate: window.startDate, endDate: window.endDate, timezone: window.timezone };
+    console.log(`📨 Received request to create lists | Filters → Days: ${daysFilter}${window.startDate ? ` (${window.startDate} to ${window.endDate}, ${window.timezone})` : ''}, Mode: ${modeFilter}${dryRun ? ' | DRY RUN' : ''}`);
 
-    const listConfigs = await Segmentation.find(query).sort({ order: 1 }).lean();
+    const listConfigs = await findCampaignsForFilters(window, modeFilter);
     if (!listConfigs.length) {
       return res.status(404).json({ 
         error: 'No campaigns match the selected filters',
-        filters: { daysFilter, modeFilter }
+        filters: { ...dateFilters, modeFilter }
+      });
+    }
+
+    if (dryRun) {
+      const preview = await previewCampaignRun(listConfigs, { allowOverlap });
+      return res.json({
+        dryRun: true,
+        filters: { ...dateFilters, modeFilter, allowOverlap },
+        ...preview
       });
     }
 
+    // Seeds from a dry run make the real run select the contacts the preview showed (if the sources are unchanged)
+    const run = await startCampaignRun(listConfigs, { ...dateFilters, modeFilter, allowOverlap }, req.session?.user, {
+      samplingSeeds: seeds.samplingSeeds
+    });
+
     res.json({
-      message: `🚀 Background processing started with ${INTER_LIST_DELAY_MS / 60000}-minute delay`,
+      message: `🚀 Background processing started, ${Math.min(CAMPAIGN_CONCURRENCY, listConfigs.length)} campaigns at a time`,
+      runId: run._id,
       count: listConfigs.length,
       firstCampaign: listConfigs[0]?.campaign || 'None',
-      totalContactsRequested: listConfigs.reduce((sum, c) => sum + c.count, 0),
-      estimatedCompletionTime: `${Math.ceil(listConfigs.length * INTER_LIST_DELAY_MS / 3600000)} hrs ${Math.ceil((listConfigs.length * INTER_LIST_DELAY_MS % 3600000) / 60000)} mins`
-    });
-
-    setImmediate(async () => {
-      try {
-        await processCampaignsWithDelay(listConfigs, daysFilter, modeFilter);
-      } catch (error) {
-        console.error('❌ Overall process failed:', error.message);
-      }
+      totalContactsRequested: listConfigs.reduce((sum, c) => sum + c.count, 0)
     });
 
   } catch (error) {
@@ -601,6 +129,26 @@ router.post('/create-lists', async (req, res) => {
   }
 });
 
+// Check which Segmentation rows a create-lists request would pick up, without starting anything
+router.post('/create-lists/validate', ensureAuthenticated, async (req, res) => {
+  try {
+    const parsed = parseRunFilters(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, ...parsed.error });
+    }
+
+    const listConfigs = await findCampaignsForFilters(parsed.window, parsed.modeFilter);
+    res.json({
+      success: true,
+      modeFilter: parsed.modeFilter,
+      ...describeWindowMatches(listConfigs, parsed.window)
+    });
+  } catch (error) {
+    console.error('Error in /create-lists/validate:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // Rest of the routes remain unchanged
 router.get('/created-lists', async (req, res) => {
   try {
@@ -622,13 +170,35 @@ router.get('/created-lists', async (req, res) => {
   }
 });
 
+// Mongo filter for the List Manager query: brand, campaign, fulfillment (full | partial | empty) and send date range (from / to, YYYY-MM-DD)
+function buildListManagerFilter(query) {
+  const filter = query.show === 'all' ? {} : { deleted: { $ne: true } };
+
+  if (query.brand) filter['campaignDetails.brand'] = query.brand;
+  if (query.campaign) filter['campaignDetails.campaign'] = query.campaign;
+
+  if (query.fulfillment === 'full') filter.fulfillmentPercentage = { $gte: 100 };
+  if (query.fulfillment === 'partial') filter.fulfillmentPercentage = { $gt: 0, $lt: 100 };
+  if (query.fulfillment === 'empty') filter.fulfillmentPercentage = 0;
+
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  if (isDate(query.from) || isDate(query.to)) {
+    filter['campaignDetails.date'] = {
+      ...(isDate(query.from) ? { $gte: query.from } : {}),
+      ...(isDate(query.to) ? { $lte: query.to } : {})
+    };
+  }
+
+  return filter;
+}
+
 // Updated route for List Manager
 router.get('/list-manager', ensureAuthenticated, async (req, res) => {
   try {
     const showAll = req.query.show === 'all';
     const jsonFormat = req.query.json === 'true';
-    const filter = showAll ? {} : { deleted: { $ne: true } };
-    
+    const filter = buildListManagerFilter(req.query);
+
     const lists = await CreatedList.find(filter)
       .sort({ createdDate: -1 })
       .lean();
@@ -636,7 +206,9 @@ router.get('/list-manager', ensureAuthenticated, async (req, res) => {
     const formattedLists = lists.map(list => ({
       ...list,
       formattedDate: formatDateForDisplay(list.createdDate),
-      createdDate: list.createdDate
+      createdDate: list.createdDate,
+      failedContactCount: (list.failedMemberships || []).reduce((sum, failed) => sum + failed.contactIds.length, 0),
+      failedErrors: [...new Set((list.failedMemberships || []).map(failed => failed.error).filter(Boolean))].join('; ')
     }));
 
     // Always return JSON when json=true is specified
@@ -644,9 +216,23 @@ router.get('/list-manager', ensureAuthenticated, async (req, res) => {
       return res.json(formattedLists);
     }
 
+    const [brands, campaigns] = await Promise.all([
+      CreatedList.distinct('campaignDetails.brand'),
+      CreatedList.distinct('campaignDetails.campaign')
+    ]);
+
     return res.render('listManager', {
       lists: formattedLists,
       showAll,
+      filters: {
+        brand: req.query.brand || '',
+        campaign: req.query.campaign || '',
+        fulfillment: req.query.fulfillment || '',
+        from: req.query.from || '',
+        to: req.query.to || ''
+      },
+      brands: brands.filter(Boolean).sort(),
+      campaigns: campaigns.filter(Boolean).sort(),
       pageTitle: "List Manager",
       activePage: "list manager"
     });
@@ -714,10 +300,7 @@ function formatDateForDisplay(date) {
 // Fetch HubSpot property options for last_marketing_email_sent_brand
 router.get('/hubspot-brand-options', ensureAuthenticated, async (req, res) => {
   try {
-    const response = await axios.get(
-      'https://api.hubapi.com/crm/v3/properties/contacts/last_marketing_email_sent_brand',
-      { headers: hubspotHeaders }
-    );
+    const response = await hubspot.get('/crm/v3/properties/contacts/last_marketing_email_sent_brand');
 
     const options = response.data.options || [];
     const formattedOptions = options.map(opt => ({
@@ -738,6 +321,14 @@ router.get('/hubspot-brand-options', ensureAuthenticated, async (req, res) => {
   }
 });
 
+// HubSpot client counters (calls, retries, 429s, rate limiter waits) per portal
+router.get('/hubspot-client-stats', ensureAuthenticated, (req, res) => {
+  res.json({
+    success: true,
+    stats: getHubSpotStats()
+  });
+});
+
 // Include a HubSpot list in an email
 router.post('/include-list-in-email', ensureAuthenticated, async (req, res) => {
   const { emailId, listId, emailName, listName } = req.body;
@@ -756,10 +347,7 @@ router.post('/include-list-in-email', ensureAuthenticated, async (req, res) => {
     }
 
     // Get current email details
-    const emailResponse = await axios.get(
-      `https://api.hubapi.com/marketing/v3/emails/${emailId}`,
-      { headers: hubspotHeaders }
-    );
+    const emailResponse = await hubspot.get(`/marketing/v3/emails/${emailId}`);
 
     const currentEmail = emailResponse.data;
 
@@ -801,10 +389,9 @@ router.post('/include-list-in-email', ensureAuthenticated, async (req, res) => {
     };
 
     // Update the email using the proven curl pattern (without /draft)
-    const updateResponse = await axios.patch(
-      `https://api.hubapi.com/marketing/v3/emails/${emailId}`,
-      updatePayload,
-      { headers: hubspotHeaders }
+    const updateResponse = await hubspot.patch(
+      `/marketing/v3/emails/${emailId}`,
+      updatePayload
     );
 
     // Verify the email was updated
@@ -815,10 +402,7 @@ router.post('/include-list-in-email', ensureAuthenticated, async (req, res) => {
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       await new Promise(resolve => setTimeout(resolve, 2000));
 
-      const verifyResponse = await axios.get(
-        `https://api.hubapi.com/marketing/v3/emails/${emailId}`,
-        { headers: hubspotHeaders }
-      );
+      const verifyResponse = await hubspot.get(`/marketing/v3/emails/${emailId}`);
 
       const verifiedEmail = verifyResponse.data;
       const verifiedListsInclude = verifiedEmail.to?.contactLists?.include || [];
@@ -890,10 +474,7 @@ router.get('/debug-email/:emailId', ensureAuthenticated, async (req, res) => {
     const emailId = req.params.emailId;
     console.log(`\n🔍 Debugging email: ${emailId}`);
 
-    const response = await axios.get(
-      `https://api.hubapi.com/marketing/v3/emails/${emailId}`,
-      { headers: hubspotHeaders }
-    );
+    const response = await hubspot.get(`/marketing/v3/emails/${emailId}`);
 
     const emailData = response.data;
 
@@ -968,7 +549,7 @@ router.get('/migration-guide/:legacyListId?', ensureAuthenticated, async (req, r
       }
     ],
     databaseUpdateExample: legacyListId ? {
-      mongodb: `db.segmentation.updateMany({ primaryListId: "${legacyListId}" }, { $set: { primaryListId: "NEW_ILS_LIST_ID" } })`,
+      mongodb: `db.segmentations.updateMany({ "sources.listId": ${legacyListId} }, { $set: { "sources.$.listId": NEW_ILS_LIST_ID } })`,
       note: "Replace NEW_ILS_LIST_ID with the ID from step 4"
     } : null,
     yourLegacyLists: legacyListId ? [legacyListId] : ["24920", "24921"],
@@ -986,10 +567,7 @@ router.get('/debug-list-ids/:ilsListId', ensureAuthenticated, async (req, res) =
     console.log(`\n🔍 DEBUG: Fetching all IDs for ILS list: ${ilsListId}`);
 
     // Get list details from HubSpot v3 API
-    const hubspotResponse = await axios.get(
-      `https://api.hubapi.com/crm/v3/lists/${ilsListId}`,
-      { headers: hubspotHeaders }
-    );
+    const hubspotResponse = await hubspot.get(`/crm/v3/lists/${ilsListId}`);
 
     const listData = hubspotResponse.data.list || hubspotResponse.data;
 
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const NamingTemplate = require('../models/namingTemplate');
+const Segmentation = require('../models/segmentation');
+const { getTodayInTimezone } = require('../service/dateFilters');
+const {
+  DEFAULT_LIST_NAME_TEMPLATE,
+  DEFAULT_DATE_FORMAT,
+  PLACEHOLDERS,
+  NamingTemplateError,
+  validateNamingTemplate,
+  renderListName,
+  findNameCollisions
+} = require('../service/listNaming');
+
+// Authentication middleware
+function ensureAuthenticated(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+const PREVIEW_SAMPLE_SIZE = 10;
+
+// Upcoming Segmentation rows, split into the rows a template would name (the brand's rows, or for the global
+// template the rows of brands without their own template) and the other rows with the template that names them
+async function findRowsForTemplate(brand) {
+  const [rows, templates] = await Promise.all([
+    Segmentation.find({ date: { $gte: getTodayInTimezone() } }).select('brand campaign domain date mode').sort({ date: 1, order: 1 }).lean(),
+    NamingTemplate.find().lean()
+  ]);
+  const brandTemplates = new Map(templates.filter(entry => entry.brand).map(entry => [entry.brand, entry.template]));
+  const globalTemplate = templates.find(entry => !entry.brand)?.template || DEFAULT_LIST_NAME_TEMPLATE;
+
+  const isNamed = (row) => (brand ? row.brand === brand : !brandTemplates.has(row.brand));
+  return {
+    rows: rows.filter(isNamed),
+    otherRows: rows
+      .filter(row => !isNamed(row))
+      .map(row => ({ ...row, template: brandTemplates.get(row.brand) || globalTemplate }))
+  };
+}
+
+// Validate a template and check it against the upcoming rows it would name, and against the names every other
+// template gives (HubSpot rejects a list name that is already used). Returns { samples, collisions } or { error }.
+async function checkTemplate(template, brand) {
+  try {
+    validateNamingTemplate(template, { brand });
+  } catch (error) {
+    if (!(error instanceof NamingTemplateError)) throw error;
+    return { error: error.message };
+  }
+
+  const { rows, otherRows } = await findRowsForTemplate(brand);
+  // Names the other templates already share among themselves are not this template's doing
+  const namedIds = new Set(rows.map(row => String(row._id)));
+  const collisions = findNameCollisions(template, [...rows, ...otherRows])
+    .filter(collision => collision.rows.some(row => namedIds.has(String(row.id))));
+  if (collisions.length > 0) {
+    return {
+      error: `${collisions.length} upcoming list names would be used more than once, e.g. "${collisions[0].name}"`,
+      collisions
+    };
+  }
+
+  return {
+    samples: rows.slice(0, PREVIEW_SAMPLE_SIZE).map(row => renderListName(template, { ...row, run: 1 })),
+    collisions
+  };
+}
+
+/**
+ * Saved templates and the placeholders they can use
+ * GET /api/naming-templates
+ */
+router.get('/naming-templates', ensureAuthenticated, async (req, res) => {
+  try {
+    const templates = await NamingTemplate.find().sort({ brand: 1 }).lean();
+    res.json({
+      success: true,
+      templates,
+      defaultTemplate: DEFAULT_LIST_NAME_TEMPLATE,
+      defaultDateFormat: DEFAULT_DATE_FORMAT,
+      placeholders: PLACEHOLDERS
+    });
+  } catch (error) {
+    console.error('[Naming API] Error fetching templates:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch naming templates' });
+  }
+});
+
+/**
+ * Validate a template and show the names it would give upcoming lists, without saving it
+ * POST /api/naming-templates/preview { template, brand? }
+ */
+router.post('/naming-templates/preview', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await checkTemplate(req.body.template, req.body.brand || null);
+    res.status(result.error ? 400 : 200).json({ success: !result.error, ...result });
+  } catch (error) {
+    console.error('[Naming API] Error previewing template:', error);
+    res.status(500).json({ success: false, error: 'Failed to preview naming template' });
+  }
+});
+
+/**
+ * Save the global template (no brand) or a brand's template
+ * PUT /api/naming-templates { template, brand? }
+ */
+router.put('/naming-templates', ensureAuthenticated, async (req, res) => {
+  try {
+    const brand = req.body.brand || null;
+    const template = typeof req.body.template === 'string' ? req.body.template.trim() : req.body.template;
+
+    const result = await checkTemplate(template, brand);
+    if (result.error) {
+      return res.status(400).json({ success: false, ...result });
+    }
+
+    const saved = await NamingTemplate.findOneAndUpdate(
+      { brand },
+      { $set: { template, updatedBy: req.session.user, updatedAt: new Date() } },
+      { upsert: true, new: true }
+    ).lean();
+
+    console.log(`[Naming API] ${brand ? `Template for ${brand}` : 'Global template'} set to "${template}" by ${req.session.user}`);
+    res.json({ success: true, template: saved, samples: result.samples });
+  } catch (error) {
+    console.error('[Naming API] Error saving template:', error);
+    res.status(500).json({ success: false, error: 'Failed to save naming template' });
+  }
+});
+
+/**
+ * Remove a template; its lists fall back to the global or built-in default
+ * DELETE /api/naming-templates/:id
+ */
+router.delete('/naming-templates/:id', ensureAuthenticated, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid template id' });
+  }
+
+  try {
+    const removed = await NamingTemplate.findByIdAndDelete(req.params.id).lean();
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    console.log(`[Naming API] ${removed.brand ? `Template for ${removed.brand}` : 'Global template'} removed by ${req.session.user}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Naming API] Error removing template:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove naming template' });
+  }
+});
+
+module.exports = router;
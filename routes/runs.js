@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { getRunSummary, listRuns, runEvents, pauseRun, resumeRun, cancelRun } = require('../service/campaignRunner');
+const { restampFailedContacts, getPropertyUpdateBatches } = require('../service/listCreation');
+const { buildRunReport } = require('../service/runReport');
+const { buildRunContactsZip } = require('../service/contactExport');
+
+// Authentication middleware
+function ensureAuthenticated(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+function ensureValidRunId(req, res, next) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid run id' });
+  }
+  next();
+}
+
+const SSE_HEARTBEAT_MS = 25000;
+const FINAL_RUN_STATUSES = ['completed', 'failed', 'cancelled'];
+const RUN_HISTORY_MAX_LIMIT = 200;
+
+/**
+ * Run history, newest first
+ * GET /api/runs?status=&user=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=50&skip=0
+ */
+router.get('/runs', ensureAuthenticated, async (req, res) => {
+  try {
+    const parseDay = (value, endOfDay) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return undefined;
+      return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    };
+
+    const { runs, total } = await listRuns({
+      status: req.query.status || undefined,
+      user: req.query.user || undefined,
+      from: parseDay(req.query.from, false),
+      to: parseDay(req.query.to, true),
+      limit: Math.min(parseInt(req.query.limit) || 50, RUN_HISTORY_MAX_LIMIT),
+      skip: parseInt(req.query.skip) || 0
+    });
+
+    res.json({ success: true, total, runs });
+  } catch (error) {
+    console.error('[Runs API] Error fetching run history:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch run history' });
+  }
+});
+
+/**
+ * Get the current state of a list creation run
+ * GET /api/runs/:id
+ */
+router.get('/runs/:id', ensureAuthenticated, ensureValidRunId, async (req, res) => {
+  try {
+    const run = await getRunSummary(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('[Runs API] Error fetching run:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch run' });
+  }
+});
+
+/**
+ * Download a run report for sharing
+ * GET /api/runs/:id/export?format=csv|json
+ */
+router.get('/runs/:id/export', ensureAuthenticated, ensureValidRunId, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be csv or json' });
+  }
+
+  try {
+    const report = await buildRunReport(req.params.id, format);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    res.set({
+      'Content-Type': report.contentType,
+      'Content-Disposition': `attachment; filename="${report.filename}"`
+    });
+    res.send(report.body);
+  } catch (error) {
+    console.error('[Runs API] Error exporting run:', error);
+    res.status(500).json({ success: false, error: 'Failed to export run' });
+  }
+});
+
+/**
+ * Download the selected contacts of every list a run created, one CSV per list
+ * GET /api/runs/:id/contacts.zip?details=true
+ */
+router.get('/runs/:id/contacts.zip', ensureAuthenticated, ensureValidRunId, async (req, res) => {
+  let zip;
+  try {
+    zip = await buildRunContactsZip(req.params.id, { includeDetails: req.query.details === 'true' });
+  } catch (error) {
+    console.error('[Runs API] Error exporting run contacts:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export run contacts' });
+  }
+
+  if (!zip) {
+    return res.status(404).json({ success: false, error: 'Run not found or created no lists' });
+  }
+
+  console.log(`[Runs API] Contacts of ${zip.listCount} lists of run ${req.params.id} exported by ${req.session.user}`);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${zip.filename}"`
+  });
+  zip.archive.on('error', (error) => {
+    console.error('[Runs API] Error streaming run contacts:', error);
+    res.destroy(error);
+  });
+  zip.archive.pipe(res);
+});
+
+/**
+ * Server-sent event stream of run progress
+ * GET /api/runs/:id/events
+ * Sends a "snapshot" event first, then one event per checkpoint until the run finishes
+ */
+router.get('/runs/:id/events', ensureAuthenticated, ensureValidRunId, async (req, res) => {
+  const runId = req.params.id;
+
+  // Listen before reading the snapshot so an event emitted meanwhile (e.g. the run finishing) is not lost;
+  // events are held until the snapshot is sent
+  let pending = [];
+  let heartbeat = null;
+  let closed = false;
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    runEvents.removeListener('progress', onProgress);
+  };
+
+  const deliver = (event) => {
+    send(event.type, event);
+    if (FINAL_RUN_STATUSES.includes(event.run.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  function onProgress(id, event) {
+    if (id !== runId) return;
+    if (pending) {
+      pending.push(event);
+    } else {
+      deliver(event);
+    }
+  }
+
+  runEvents.on('progress', onProgress);
+  req.on('close', cleanup);
+
+  let run;
+  try {
+    run = await getRunSummary(runId);
+  } catch (error) {
+    cleanup();
+    console.error('[Runs API] Error opening event stream:', error);
+    return res.status(500).json({ success: false, error: 'Failed to fetch run' });
+  }
+
+  if (!run) {
+    cleanup();
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  // The client went away while the snapshot was read
+  if (closed) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  send('snapshot', { type: 'snapshot', run });
+
+  if (FINAL_RUN_STATUSES.includes(run.status)) {
+    cleanup();
+    return res.end();
+  }
+
+  const buffered = pending;
+  pending = null;
+  for (const event of buffered) {
+    if (closed) return;
+    deliver(event);
+  }
+  if (closed) return;
+
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+});
+
+// Shared handler for the run control endpoints
+const controlHandler = (action, label) => async (req, res) => {
+  try {
+    const result = await action(req.params.id, req.session.user);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    if (result.applied) {
+      console.log(`[Runs API] ${label} requested for run ${req.params.id} by ${req.session.user}`);
+    }
+
+    res.status(result.applied ? 200 : 409).json({
+      success: result.applied,
+      message: result.message,
+      run: result.run
+    });
+  } catch (error) {
+    console.error(`[Runs API] Error handling ${label.toLowerCase()}:`, error);
+    res.status(500).json({ success: false, error: `Failed to ${label.toLowerCase()} run` });
+  }
+};
+
+/**
+ * Cancel a run before its next campaign or membership chunk
+ * POST /api/runs/:id/cancel
+ */
+router.post('/runs/:id/cancel', ensureAuthenticated, ensureValidRunId, controlHandler(cancelRun, 'Cancel'));
+
+/**
+ * Pause a run before its next campaign or membership chunk
+ * POST /api/runs/:id/pause
+ */
+router.post('/runs/:id/pause', ensureAuthenticated, ensureValidRunId, controlHandler(pauseRun, 'Pause'));
+
+/**
+ * Resume a paused run
+ * POST /api/runs/:id/resume
+ */
+router.post('/runs/:id/resume', ensureAuthenticated, ensureValidRunId, controlHandler(resumeRun, 'Resume'));
+
+/**
+ * Contact property update batch results of a run, including HubSpot's per-record errors
+ * GET /api/runs/:id/property-updates
+ */
+router.get('/runs/:id/property-updates', ensureAuthenticated, ensureValidRunId, async (req, res) => {
+  try {
+    const result = await getPropertyUpdateBatches(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Runs API] Error fetching property updates:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch property updates' });
+  }
+});
+
+/**
+ * Re-stamp only the contacts whose property update failed in a run
+ * POST /api/runs/:id/restamp-failed
+ */
+router.post('/runs/:id/restamp-failed', ensureAuthenticated, ensureValidRunId, async (req, res) => {
+  try {
+    console.log(`[Runs API] Re-stamp of failed contacts requested for run ${req.params.id} by ${req.session.user}`);
+    const result = await restampFailedContacts(req.params.id);
+
+    res.json({
+      success: result.failedCount === 0,
+      message: result.retriedCount === 0
+        ? 'No failed contacts to re-stamp'
+        : `Updated ${result.updatedCount} of ${result.retriedCount} contacts${result.failedCount > 0 ? `, ${result.failedCount} still failing` : ''}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('[Runs API] Error re-stamping contacts:', error);
+    res.status(500).json({ success: false, error: 'Failed to re-stamp contacts' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ListSchedule = require('../models/listSchedule');
+const { parseCron, CronParseError } = require('../service/cronSchedule');
+const { isValidTimezone } = require('../service/dateFilters');
+const { CAMPAIGN_MODES, isValidMode } = require('../service/campaignModes');
+const { triggerSchedule, getNextRunTime } = require('../service/listScheduler');
+
+// Authentication middleware
+function ensureAuthenticated(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+function ensureValidScheduleId(req, res, next) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid schedule id' });
+  }
+  next();
+}
+
+const MAX_DAYS_OFFSET = 30;
+
+// Validate a create or update body; only fields present in the body are checked and returned.
+// Returns { values } or { error }.
+function parseScheduleBody(body, requireAll) {
+  const values = {};
+
+  if (body.name !== undefined || requireAll) {
+    if (!body.name || !String(body.name).trim()) return { error: 'name is required' };
+    values.name = String(body.name).trim();
+  }
+
+  if (body.cron !== undefined || requireAll) {
+    try {
+      parseCron(body.cron);
+    } catch (error) {
+      if (!(error instanceof CronParseError)) throw error;
+      return { error: error.message };
+    }
+    values.cron = String(body.cron).trim().split(/\s+/).join(' ');
+  }
+
+  if (body.timezone !== undefined) {
+    if (body.timezone && !isValidTimezone(body.timezone)) return { error: `Unknown timezone "${body.timezone}"` };
+    values.timezone = body.timezone || undefined;
+  }
+
+  if (body.daysOffset !== undefined || requireAll) {
+    const daysOffset = Number(body.daysOffset);
+    if (!Number.isInteger(daysOffset) || daysOffset < 0 || daysOffset > MAX_DAYS_OFFSET) {
+      return { error: `daysOffset must be a whole number between 0 and ${MAX_DAYS_OFFSET}` };
+    }
+    values.daysOffset = daysOffset;
+  }
+
+  if (body.modeFilter !== undefined || requireAll) {
+    if (!isValidMode(body.modeFilter)) return { error: `modeFilter must be one of: ${CAMPAIGN_MODES.join(', ')}` };
+    values.modeFilter = body.modeFilter;
+  }
+
+  if (body.allowOverlap !== undefined) values.allowOverlap = body.allowOverlap === true || body.allowOverlap === 'true';
+  if (body.enabled !== undefined) values.enabled = body.enabled === true || body.enabled === 'true';
+
+  return { values };
+}
+
+const withNextRun = (schedule) => ({ ...schedule, nextRunAt: getNextRunTime(schedule) });
+
+/**
+ * List creation schedules
+ * GET /api/schedules
+ */
+router.get('/schedules', ensureAuthenticated, async (req, res) => {
+  try {
+    const schedules = await ListSchedule.find().sort({ createdAt: 1 }).lean();
+    res.json({ success: true, schedules: schedules.map(withNextRun) });
+  } catch (error) {
+    console.error('[Schedules API] Error fetching schedules:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch schedules' });
+  }
+});
+
+/**
+ * Create a schedule
+ * POST /api/schedules { name, cron, timezone?, daysOffset, modeFilter, allowOverlap?, enabled? }
+ */
+router.post('/schedules', ensureAuthenticated, async (req, res) => {
+  try {
+    const parsed = parseScheduleBody(req.body, true);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const schedule = await ListSchedule.create({ ...parsed.values, createdBy: req.session.user });
+    console.log(`[Schedules API] Schedule "${schedule.name}" (${schedule.cron}) created by ${req.session.user}`);
+    res.status(201).json({ success: true, schedule: withNextRun(schedule.toObject()) });
+  } catch (error) {
+    console.error('[Schedules API] Error creating schedule:', error);
+    res.status(500).json({ success: false, error: 'Failed to create schedule' });
+  }
+});
+
+/**
+ * Update a schedule (e.g. { enabled: false } to pause it)
+ * PUT /api/schedules/:id
+ */
+router.put('/schedules/:id', ensureAuthenticated, ensureValidScheduleId, async (req, res) => {
+  try {
+    const parsed = parseScheduleBody(req.body, false);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const update = { $set: parsed.values };
+    if ('timezone' in parsed.values && !parsed.values.timezone) {
+      delete update.$set.timezone;
+      update.$unset = { timezone: '' };
+    }
+
+    // A schedule enabled again starts from now instead of catching up the firings of while it was disabled
+    if (parsed.values.enabled === true) {
+      await ListSchedule.updateOne({ _id: req.params.id, enabled: false }, { $set: { lastFiredAt: new Date() } });
+    }
+
+    const schedule = await ListSchedule.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true }).lean();
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({ success: true, schedule: withNextRun(schedule) });
+  } catch (error) {
+    console.error('[Schedules API] Error updating schedule:', error);
+    res.status(500).json({ success: false, error: 'Failed to update schedule' });
+  }
+});
+
+/**
+ * Delete a schedule (runs it started are kept)
+ * DELETE /api/schedules/:id
+ */
+router.delete('/schedules/:id', ensureAuthenticated, ensureValidScheduleId, async (req, res) => {
+  try {
+    const schedule = await ListSchedule.findByIdAndDelete(req.params.id).lean();
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    console.log(`[Schedules API] Schedule "${schedule.name}" deleted by ${req.session.user}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Schedules API] Error deleting schedule:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete schedule' });
+  }
+});
+
+/**
+ * Trigger a schedule now; the date is still skipped if a run already covers it
+ * POST /api/schedules/:id/run
+ */
+router.post('/schedules/:id/run', ensureAuthenticated, ensureValidScheduleId, async (req, res) => {
+  try {
+    const schedule = await ListSchedule.findById(req.params.id).lean();
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const result = await triggerSchedule(schedule);
+    res.status(result.outcome === 'failed' ? 500 : 200).json({ success: result.outcome !== 'failed', ...result });
+  } catch (error) {
+    console.error('[Schedules API] Error triggering schedule:', error);
+    res.status(500).json({ success: false, error: 'Failed to trigger schedule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const SuppressionList = require('../models/suppressionList');
+
+// Authentication middleware
+function ensureAuthenticated(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+// Validate a suppression list body. Returns { error } or { fields }.
+function parseSuppressionBody(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.listId !== undefined) {
+    const listId = Number(body.listId);
+    if (!Number.isInteger(listId) || listId <= 0) {
+      return { error: 'listId must be a positive HubSpot list ID' };
+    }
+    fields.listId = listId;
+  }
+
+  if (!partial || body.brand !== undefined) {
+    if (body.brand !== undefined && body.brand !== null && typeof body.brand !== 'string') {
+      return { error: 'brand must be a string' };
+    }
+    fields.brand = body.brand ? body.brand.trim() || null : null;
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string') return { error: 'name must be a string' };
+    fields.name = body.name.trim();
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    fields.enabled = body.enabled;
+  }
+
+  return { fields };
+}
+
+const describe = (entry) => `List ${entry.listId}${entry.brand ? ` for ${entry.brand}` : ' (global)'}`;
+
+/**
+ * Suppression lists, global first
+ * GET /api/suppression-lists
+ */
+router.get('/suppression-lists', ensureAuthenticated, async (req, res) => {
+  try {
+    const suppressionLists = await SuppressionList.find().sort({ brand: 1, listId: 1 }).lean();
+    res.json({ success: true, suppressionLists });
+  } catch (error) {
+    console.error('[Suppression API] Error fetching suppression lists:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch suppression lists' });
+  }
+});
+
+/**
+ * Add a suppression list
+ * POST /api/suppression-lists { listId, brand?, name?, enabled? }
+ */
+router.post('/suppression-lists', ensureAuthenticated, async (req, res) => {
+  const { error, fields } = parseSuppressionBody(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const created = await SuppressionList.create({ ...fields, createdBy: req.session.user });
+    console.log(`[Suppression API] ${describe(created)} added by ${req.session.user}`);
+    res.json({ success: true, suppressionList: created.toObject() });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: `${describe(fields)} is already a suppression list` });
+    }
+    console.error('[Suppression API] Error adding suppression list:', error);
+    res.status(500).json({ success: false, error: 'Failed to add suppression list' });
+  }
+});
+
+/**
+ * Update a suppression list, e.g. to disable it
+ * PUT /api/suppression-lists/:id { listId?, brand?, name?, enabled? }
+ */
+router.put('/suppression-lists/:id', ensureAuthenticated, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid suppression list id' });
+  }
+
+  const { error, fields } = parseSuppressionBody(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const updated = await SuppressionList.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true }).lean();
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Suppression list not found' });
+    }
+
+    console.log(`[Suppression API] ${describe(updated)} updated by ${req.session.user}`);
+    res.json({ success: true, suppressionList: updated });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'Another suppression list already uses this list and brand' });
+    }
+    console.error('[Suppression API] Error updating suppression list:', error);
+    res.status(500).json({ success: false, error: 'Failed to update suppression list' });
+  }
+});
+
+/**
+ * Remove a suppression list
+ * DELETE /api/suppression-lists/:id
+ */
+router.delete('/suppression-lists/:id', ensureAuthenticated, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid suppression list id' });
+  }
+
+  try {
+    const removed = await SuppressionList.findByIdAndDelete(req.params.id).lean();
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Suppression list not found' });
+    }
+
+    console.log(`[Suppression API] ${describe(removed)} removed by ${req.session.user}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Suppression API] Error removing suppression list:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove suppression list' });
+  }
+});
+
+module.exports = router;
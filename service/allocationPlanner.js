@@ -0,0 +1,216 @@
+const { getContactsFromList, getSourceCap } = require('./listCreation');
+const { getAssignedContacts } = require('./assignmentLedger');
+const { getSamplingOptions, orderCandidates } = require('./sampling');
+const { getSuppressedContacts } = require('./suppression');
+
+const ALLOCATION_STRATEGIES = ['priority', 'sequential'];
+
+// priority: plan the whole run before selecting; sequential: each campaign takes what is left, in order
+const ALLOCATION_STRATEGY = ALLOCATION_STRATEGIES.includes(process.env.ALLOCATION_STRATEGY)
+  ? process.env.ALLOCATION_STRATEGY
+  : 'priority';
+
+// Share of its count every campaign is planned before any campaign is planned more (Segmentation.minimumPercent overrides)
+const DEFAULT_MINIMUM_PERCENT = Math.min(100, Math.max(0, parseInt(process.env.ALLOCATION_MINIMUM_PERCENT ?? 80, 10) || 0));
+
+const getPriority = (config) => (config.priority > 0 ? config.priority : 1);
+
+const getMinimumPercent = (config) => (
+  config.minimumPercent >= 0 && config.minimumPercent <= 100 ? config.minimumPercent : DEFAULT_MINIMUM_PERCENT
+);
+
+// Set of a send date in a date -> Set map, created on first use
+const getForDate = (setsByDate, date) => {
+  if (!setsByDate.has(date)) setsByDate.set(date, new Set());
+  return setsByDate.get(date);
+};
+
+/**
+ * Read each source list once, whole: the selection keeps paging through a source until its share is met
+ * @param {Array<Object>} campaigns - Planning entries ({ config })
+ * @param {Object} [membershipCache] - Run's list membership cache, which the selection then reads from too
+ * @returns {Promise<Map<number, Array<number>>>} - listId -> members (empty when the list cannot be read)
+ */
+async function fetchSourceMembers(campaigns, membershipCache) {
+  const listIds = new Set(campaigns.flatMap(({ config }) => (config.sources || []).map(source => source.listId)));
+
+  const members = new Map();
+  for (const listId of listIds) {
+    try {
+      members.set(listId, membershipCache
+        ? await membershipCache.getContacts(listId)
+        : await getContactsFromList(listId));
+    } catch (error) {
+      // The selection records the fetch error against the campaign; plan without the list
+      console.error(`⚠️ [Allocation] Source list ${listId} not planned: ${error.message}`);
+      members.set(listId, []);
+    }
+  }
+  return members;
+}
+
+/**
+ * Plan which contacts each campaign of a run gets when their source lists overlap. Campaigns only compete for a
+ * contact when they send on the same date; a contact may be planned once per send date.
+ * Every campaign is first planned up to its minimum share (minimumPercent of its count), then up to its full count.
+ * Within each phase the campaign furthest behind its target, scaled by its priority weight, picks next, so a
+ * higher priority campaign fills faster. Each campaign prefers contacts that fewer other campaigns can use.
+ * Frequency rules are only applied during the selection, which may then take unplanned contacts to replace dropped ones.
+ * @param {Array<Object>} listConfigs - Segmentation rows still to select, in run order
+ * @param {Object} [options]
+ * @param {Map<string, Set<number>>} [options.usedContacts] - Send date -> contacts already selected by the run for it
+ * @param {boolean} [options.allowOverlap] - Ignore the assignment ledger for every campaign
+ * @param {Object} [options.suppressions] - From loadSuppressions
+ * @param {Object} [options.membershipCache] - Run's list membership cache
+ * @returns {Promise<Map<string, Object>>} - Segmentation id -> { date, contactIds, plannedCount, minimumCount }
+ */
+async function planAllocation(listConfigs, options = {}) {
+  const { usedContacts = new Map(), allowOverlap = false, suppressions, membershipCache } = options;
+
+  const campaigns = listConfigs.map((config, index) => ({
+    key: String(config._id),
+    index,
+    config,
+    sampling: getSamplingOptions(config),
+    weight: getPriority(config),
+    minimumCount: Math.ceil(config.count * getMinimumPercent(config) / 100),
+    planned: []
+  }));
+
+  const sourceMembers = await fetchSourceMembers(campaigns, membershipCache);
+
+  const assignedByDate = new Map();
+  for (const campaign of campaigns) {
+    const { config } = campaign;
+    const checkAssigned = !(allowOverlap || config.allowOverlap);
+    if (checkAssigned && !assignedByDate.has(config.date)) {
+      assignedByDate.set(config.date, await getAssignedContacts(config.date));
+    }
+    const assigned = checkAssigned ? assignedByDate.get(config.date) : new Set();
+    const suppressed = getSuppressedContacts(suppressions, config.brand);
+    const used = usedContacts.get(config.date) || new Set();
+
+    campaign.sources = [];
+    for (const source of config.sources || []) {
+      const eligible = (sourceMembers.get(source.listId) || [])
+        .filter(vid => !used.has(vid) && !suppressed.has(vid) && !assigned.has(vid));
+      campaign.sources.push({
+        cap: getSourceCap(source, config.count),
+        candidates: await orderCandidates(eligible, campaign.sampling),
+        position: 0,
+        taken: 0
+      });
+    }
+  }
+
+  // How many campaigns of the same send date could use each contact
+  const demandByDate = new Map();
+  for (const campaign of campaigns) {
+    if (!demandByDate.has(campaign.config.date)) demandByDate.set(campaign.config.date, new Map());
+    const demand = demandByDate.get(campaign.config.date);
+    const pool = new Set(campaign.sources.flatMap(source => source.candidates));
+    pool.forEach(vid => demand.set(vid, (demand.get(vid) || 0) + 1));
+  }
+  // Array.prototype.sort is stable, so the sampling order is kept among contacts with the same demand
+  for (const campaign of campaigns) {
+    const demand = demandByDate.get(campaign.config.date);
+    campaign.sources.forEach(source => source.candidates.sort((a, b) => demand.get(a) - demand.get(b)));
+  }
+
+  const claimedByDate = new Map();
+
+  // Next candidate not claimed for the campaign's send date, walking the sources in order and respecting their caps
+  const takeNext = (campaign) => {
+    const claimed = getForDate(claimedByDate, campaign.config.date);
+    for (const source of campaign.sources) {
+      if (source.taken >= source.cap) continue;
+      while (source.position < source.candidates.length) {
+        const vid = source.candidates[source.position++];
+        if (claimed.has(vid)) continue;
+        claimed.add(vid);
+        source.taken++;
+        return vid;
+      }
+    }
+    return null;
+  };
+
+  const fillTo = (getTarget) => {
+    let active = campaigns.filter(campaign => campaign.planned.length < getTarget(campaign));
+    while (active.length > 0) {
+      let next = active[0];
+      let nextScore = Infinity;
+      for (const campaign of active) {
+        const score = campaign.planned.length / getTarget(campaign) / campaign.weight;
+        if (score < nextScore) {
+          next = campaign;
+          nextScore = score;
+        }
+      }
+
+      const vid = takeNext(next);
+      if (vid === null) {
+        next.exhausted = true;
+      } else {
+        next.planned.push(vid);
+      }
+      active = active.filter(campaign => !campaign.exhausted && campaign.planned.length < getTarget(campaign));
+    }
+  };
+
+  fillTo(campaign => campaign.minimumCount);
+  fillTo(campaign => campaign.config.count);
+
+  const plan = new Map();
+  for (const campaign of campaigns) {
+    const { config, planned, minimumCount } = campaign;
+    plan.set(campaign.key, { date: config.date, contactIds: planned, plannedCount: planned.length, minimumCount });
+    console.log(`📐 [Allocation] ${config.campaign}: ${planned.length} of ${config.count} planned (minimum ${minimumCount}, priority ${campaign.weight})`);
+  }
+  return plan;
+}
+
+/**
+ * Keep each campaign's planned contacts away from the other campaigns of its send date until it has selected
+ * @param {Map<string, Object>} plan - From planAllocation
+ * @returns {Object} - { exceptFor(key, date) -> Set-like of contacts planned for other campaigns of the date, release(key) }
+ */
+function reservePlannedContacts(plan) {
+  const ownersByDate = new Map(); // date -> Map(contactId -> key)
+  for (const [key, entry] of plan) {
+    if (!ownersByDate.has(entry.date)) ownersByDate.set(entry.date, new Map());
+    const owners = ownersByDate.get(entry.date);
+    entry.contactIds.forEach(vid => owners.set(vid, key));
+  }
+
+  return {
+    exceptFor: (key, date) => ({
+      has: (vid) => {
+        const owner = ownersByDate.get(date)?.get(vid);
+        return owner !== undefined && owner !== key;
+      }
+    }),
+    // Once a campaign has selected (or failed), contacts it did not use become available to the rest
+    release: (key) => {
+      const entry = plan.get(key);
+      const owners = entry && ownersByDate.get(entry.date);
+      if (!owners) return;
+      entry.contactIds.forEach(vid => {
+        if (owners.get(vid) === key) owners.delete(vid);
+      });
+    }
+  };
+}
+
+// Reservations for runs that allocate sequentially: nothing is reserved
+const NO_RESERVATIONS = { exceptFor: () => new Set(), release: () => {} };
+
+module.exports = {
+  ALLOCATION_STRATEGIES,
+  ALLOCATION_STRATEGY,
+  DEFAULT_MINIMUM_PERCENT,
+  planAllocation,
+  reservePlannedContacts,
+  NO_RESERVATIONS,
+  getForDate
+};
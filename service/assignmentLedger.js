@@ -0,0 +1,159 @@
+const ContactAssignment = require('../models/contactAssignment');
+
+const INSERT_BATCH_SIZE = 1000;
+const LOOKUP_BATCH_SIZE = 5000;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// A key with a missing value would widen the match to other runs or campaigns
+function isCompleteKey(key) {
+  return Object.values(key).every(value => value !== undefined && value !== null);
+}
+
+/**
+ * Get every contact already assigned to a send on the given date (by any run)
+ * @param {string} sendDate - Send date in YYYY-MM-DD format
+ * @returns {Promise<Set<number>>} - Assigned contact IDs
+ */
+async function getAssignedContacts(sendDate) {
+  const contactIds = await ContactAssignment.distinct('contactId', { sendDate });
+  return new Set(contactIds);
+}
+
+/**
+ * Get the latest send date each contact was selected for (within the retention window)
+ * @param {Array<number>} contactIds - Contacts to look up
+ * @returns {Promise<Map<number, string>>} - contactId -> latest sendDate; contacts never selected are absent
+ */
+async function getLastSelectedDates(contactIds) {
+  const lastSelected = new Map();
+
+  for (let i = 0; i < contactIds.length; i += LOOKUP_BATCH_SIZE) {
+    const rows = await ContactAssignment.aggregate([
+      { $match: { contactId: { $in: contactIds.slice(i, i + LOOKUP_BATCH_SIZE) } } },
+      { $group: { _id: '$contactId', lastSendDate: { $max: '$sendDate' } } }
+    ]);
+    rows.forEach(row => lastSelected.set(row._id, row.lastSendDate));
+  }
+
+  return lastSelected;
+}
+
+/**
+ * Get the contacts assigned to a send of a brand between two dates (within the retention window).
+ * Sends booked for the checked date or later are not part of its lookback.
+ * @param {Array<number>} contactIds - Contacts to look up
+ * @param {string} brand - Segmentation brand
+ * @param {string} afterDate - YYYY-MM-DD, exclusive
+ * @param {string} beforeDate - YYYY-MM-DD, exclusive (the send date being checked)
+ * @returns {Promise<Set<number>>} - Contacts with such a send
+ */
+async function getBrandAssignmentsBetween(contactIds, brand, afterDate, beforeDate) {
+  const found = await ContactAssignment.distinct('contactId', {
+    contactId: { $in: contactIds },
+    brand,
+    sendDate: { $gt: afterDate, $lt: beforeDate }
+  });
+  return new Set(found);
+}
+
+// Mongoose copies driver write errors into plain objects, keeping the code under err
+const isDuplicateKeyError = (writeError) => (writeError.code ?? writeError.err?.code) === DUPLICATE_KEY_ERROR;
+
+/**
+ * Claim the contacts selected for a campaign by recording them.
+ * Entries without allowOverlap are unique per send date and contact, so a contact another run recorded
+ * since the ledger was read is rejected rather than assigned twice.
+ * @param {Array<Object>} selectedBySource - [{ listId, contactIds }] grouped by the list each contact came from
+ * @param {Object} details - Fields stored on every entry (runId, segmentationId, sendDate, campaign, brand, mode, allowOverlap)
+ * @returns {Promise<Object>} - { recordedCount, takenContactIds } where takenContactIds were already claimed by another run
+ */
+async function recordAssignments(selectedBySource, details) {
+  const entries = selectedBySource.flatMap(({ listId, contactIds }) =>
+    contactIds.map(contactId => ({ ...details, contactId, sourceListId: listId }))
+  );
+  const takenContactIds = [];
+
+  for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+    const batch = entries.slice(i, i + INSERT_BATCH_SIZE);
+    try {
+      await ContactAssignment.insertMany(batch, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || !writeErrors.every(isDuplicateKeyError)) throw error;
+      writeErrors.forEach(writeError => takenContactIds.push(batch[writeError.index ?? writeError.err.index].contactId));
+    }
+  }
+
+  return { recordedCount: entries.length - takenContactIds.length, takenContactIds };
+}
+
+/**
+ * Link the entries of a campaign to the HubSpot list created for it
+ * @param {Object} key - { runId, segmentationId }
+ * @param {number} listId - Created ILS list ID
+ */
+async function attachListToAssignments(key, listId) {
+  if (!isCompleteKey(key)) return;
+  await ContactAssignment.updateMany(key, { $set: { listId } });
+}
+
+/**
+ * Flag the contacts a campaign newly added to its send contacts list, so a rollback leaves existing members alone
+ * @param {Object} key - { runId, segmentationId }
+ * @param {Array<number>} contactIds - Contacts HubSpot reported as added
+ */
+async function markAddedToSendList(key, contactIds) {
+  if (!isCompleteKey(key) || contactIds.length === 0) return;
+  await ContactAssignment.updateMany({ ...key, contactId: { $in: contactIds } }, { $set: { addedToSendList: true } });
+}
+
+/**
+ * Store the property values contacts had before the campaign stamped them.
+ * Entries that already hold values are left untouched, so a resumed attempt never records its own stamp.
+ * @param {Object} key - { runId, segmentationId }
+ * @param {Map<number, Object>} propertiesById - contactId -> property values
+ */
+async function recordPreviousProperties(key, propertiesById) {
+  if (!isCompleteKey(key) || propertiesById.size === 0) return;
+
+  const bulkOps = [...propertiesById].map(([contactId, previousProperties]) => ({
+    updateOne: {
+      filter: { ...key, contactId, previousProperties: { $exists: false } },
+      update: { $set: { previousProperties } }
+    }
+  }));
+  await ContactAssignment.bulkWrite(bulkOps, { ordered: false });
+}
+
+/**
+ * Get every entry recorded for a created list
+ * @param {number} listId - Created ILS list ID
+ * @returns {Promise<Array<Object>>} - Ledger entries
+ */
+async function getAssignmentsForList(listId) {
+  return ContactAssignment.find({ listId }).lean();
+}
+
+/**
+ * Remove the entries of a campaign (interrupted attempt or rolled back campaign)
+ * @param {Object} key - { runId, segmentationId } or { listId }
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function releaseAssignments(key) {
+  if (!isCompleteKey(key)) return 0;
+
+  const result = await ContactAssignment.deleteMany(key);
+  return result.deletedCount;
+}
+
+module.exports = {
+  getAssignedContacts,
+  getLastSelectedDates,
+  getBrandAssignmentsBetween,
+  recordAssignments,
+  attachListToAssignments,
+  markAddedToSendList,
+  recordPreviousProperties,
+  getAssignmentsForList,
+  releaseAssignments
+};
@@ -0,0 +1,36 @@
+// Modes a Segmentation row can belong to; each mode is run separately from the list creation page.
+// Override with CAMPAIGN_MODES (comma separated); the default mode must stay in the list.
+const DEFAULT_MODE = 'BAU';
+const CAMPAIGN_MODES = (process.env.CAMPAIGN_MODES || 'BAU,re-engagement,re-activation,win-back,welcome')
+  .split(',')
+  .map(mode => mode.trim())
+  .filter(Boolean);
+
+if (!CAMPAIGN_MODES.includes(DEFAULT_MODE)) {
+  CAMPAIGN_MODES.unshift(DEFAULT_MODE);
+}
+
+// Campaign name patterns the mode used to be derived from; only used to backfill rows saved before the mode field existed
+const LEGACY_MODE_PATTERNS = [
+  ['re-engagement', /re-engagement/i],
+  ['re-activation', /re-activation/i]
+];
+
+const isValidMode = (mode) => CAMPAIGN_MODES.includes(mode);
+
+/**
+ * Classify a campaign by name the way the old regex filters did
+ * @param {string} campaign - Segmentation campaign name
+ * @returns {string} - Mode
+ */
+function inferModeFromCampaign(campaign) {
+  const match = LEGACY_MODE_PATTERNS.find(([, pattern]) => pattern.test(campaign || ''));
+  return match ? match[0] : DEFAULT_MODE;
+}
+
+module.exports = {
+  DEFAULT_MODE,
+  CAMPAIGN_MODES,
+  isValidMode,
+  inferModeFromCampaign
+};
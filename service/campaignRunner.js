@@ -0,0 +1,787 @@
+const EventEmitter = require('events');
+const OperationStatus = require('../models/operationStatus');
+const Segmentation = require('../models/segmentation');
+const { processSingleCampaign, previewSingleCampaign, RunCancelledError } = require('./listCreation');
+const { rollbackCampaign } = require('./rollback');
+const { releaseAssignments } = require('./assignmentLedger');
+const { buildDateQuery } = require('./dateFilters');
+const { loadSuppressions, getSuppressedContacts } = require('./suppression');
+const { ALLOCATION_STRATEGY, planAllocation, reservePlannedContacts, NO_RESERVATIONS, getForDate } = require('./allocationPlanner');
+const { createMembershipCache } = require('./membershipCache');
+const { withSamplingSeed } = require('./sampling');
+
+// Runs currently being executed by this process (guards against double execution on resume)
+const activeRuns = new Set();
+
+// Pending user control per active run id: 'pause' or 'cancel'
+const runControls = new Map();
+const CONTROL_POLL_MS = 1000;
+
+// Campaigns of a run processed at the same time
+const CAMPAIGN_CONCURRENCY = Math.max(1, parseInt(process.env.CAMPAIGN_CONCURRENCY) || 3);
+
+// Pause in progress per active run id, awaited by every worker of the run
+const pauseWaits = new Map();
+
+// Checkpoint save in progress per run id; a run's workers share one document, which Mongoose cannot save in parallel
+const pendingSaves = new Map();
+
+const FINISHED_CAMPAIGN_STATUSES = ['completed', 'failed', 'skipped', 'cancelled'];
+
+// Undo campaigns that were only partly applied (failed membership chunks or property updates)
+const ROLLBACK_ON_FAILURE = process.env.ROLLBACK_ON_FAILURE === 'true';
+
+// Emits 'progress' with (runId, event) whenever a run checkpoint is saved
+const runEvents = new EventEmitter();
+runEvents.setMaxListeners(0);
+
+/**
+ * Segmentation rows of a date window and mode, in send date then display order
+ * @param {Object} window - From resolveDateWindow
+ * @param {string} modeFilter - Campaign mode
+ * @returns {Promise<Array<Object>>}
+ */
+function findCampaignsForFilters(window, modeFilter) {
+  const query = { ...buildDateQuery(window), mode: modeFilter };
+  return Segmentation.find(query).sort({ date: 1, order: 1 }).lean();
+}
+
+/**
+ * Plan how campaigns share overlapping source lists and reserve each campaign's planned contacts
+ * @param {Array<Object>} listConfigs - Segmentation rows still to select, in run order
+ * @param {Object} options - { allocationStrategy, usedContacts (send date -> Set), allowOverlap, suppressions, membershipCache }
+ * @returns {Promise<Object>} - { plan, reservations } (empty plan for sequential allocation)
+ */
+async function reserveAllocation(listConfigs, options) {
+  const strategy = options.allocationStrategy || ALLOCATION_STRATEGY;
+  if (strategy !== 'priority' || listConfigs.length < 2) {
+    return { plan: new Map(), reservations: NO_RESERVATIONS };
+  }
+
+  const plan = await planAllocation(listConfigs, options);
+  return { plan, reservations: reservePlannedContacts(plan) };
+}
+
+/**
+ * Persist a new list creation run and start processing it in the background
+ * @param {Array<Object>} listConfigs - Segmentation rows to process, in order
+ * @param {Object} filters - Filters and options the run was started with
+ *   ({ daysFilter, startDate, endDate, timezone, modeFilter, allowOverlap, allocationStrategy? })
+ * @param {string} [user] - Email of the user who started the run
+ * @param {Object} [options] - { scheduleId } when a schedule started the run,
+ *   { samplingSeeds } (Segmentation id -> seed) to select in the order a dry run showed
+ * @returns {Promise<Object>} - The saved run record
+ */
+async function startCampaignRun(listConfigs, filters, user, options = {}) {
+  const samplingSeeds = options.samplingSeeds || {};
+  const run = await OperationStatus.create({
+    type: 'list_creation',
+    status: 'running',
+    user,
+    scheduleId: options.scheduleId,
+    filters: { ...filters, allocationStrategy: filters.allocationStrategy || ALLOCATION_STRATEGY },
+    campaigns: listConfigs.map(config => ({
+      segmentationId: config._id,
+      campaign: config.campaign,
+      brand: config.brand,
+      requestedCount: config.count,
+      // Recorded up front so planning, selection and a resume after an interruption use one seed
+      samplingSeed: withSamplingSeed(config, samplingSeeds[String(config._id)]).samplingSeed
+    })),
+    details: {
+      totalCampaigns: listConfigs.length,
+      processedCampaigns: 0
+    }
+  });
+
+  publishProgress(run, 'run_started');
+
+  setImmediate(() => {
+    executeCampaignRun(run._id).catch(error => {
+      console.error('❌ Overall process failed:', error.message);
+    });
+  });
+
+  return run;
+}
+
+/**
+ * Dry run: apply the same selection and cross-campaign dedupe as a real run, without creating lists,
+ * adding memberships or stamping contact properties
+ * @param {Array<Object>} listConfigs - Segmentation rows to preview, in order
+ * @param {Object} [options] - { allowOverlap } to ignore the assignment ledger, { allocationStrategy } to override the default
+ * @returns {Promise<Object>} - Per-campaign preview, totals and samplingSeeds (Segmentation id -> seed) for the real run
+ */
+async function previewCampaignRun(listConfigs, options = {}) {
+  // One seed per campaign, shared by the plan and the selection and returned for the real run
+  const configs = listConfigs.map(config => withSamplingSeed(config));
+  const usedContacts = new Map(); // send date -> contacts previewed for it
+  const campaigns = [];
+  const membershipCache = createMembershipCache();
+  const suppressions = await loadSuppressions(membershipCache);
+  const { plan, reservations } = await reserveAllocation(configs, { ...options, usedContacts, suppressions, membershipCache });
+
+  for (const config of configs) {
+    const key = String(config._id);
+    try {
+      const preview = await previewSingleCampaign(config, getForDate(usedContacts, config.date), {
+        ...options,
+        suppressedContacts: getSuppressedContacts(suppressions, config.brand),
+        reservedContacts: reservations.exceptFor(key, config.date),
+        membershipCache
+      });
+      campaigns.push({ ...preview, plannedCount: plan.get(key)?.plannedCount });
+    } catch (error) {
+      console.error(`❌ Preview failed: ${config.campaign}`);
+      campaigns.push({
+        segmentationId: config._id,
+        campaign: config.campaign,
+        brand: config.brand,
+        requestedCount: config.count,
+        selectedCount: 0,
+        fulfillmentPercentage: 0,
+        error: error.message
+      });
+    }
+    reservations.release(key);
+  }
+
+  const totalRequested = campaigns.reduce((sum, c) => sum + (c.requestedCount || 0), 0);
+  const totalSelected = campaigns.reduce((sum, c) => sum + (c.selectedCount || 0), 0);
+
+  const samplingSeeds = {};
+  configs
+    .filter(config => config.samplingSeed !== undefined && config.samplingSeed !== null)
+    .forEach(config => { samplingSeeds[String(config._id)] = config.samplingSeed; });
+
+  return {
+    campaigns,
+    samplingSeeds,
+    totals: {
+      campaigns: campaigns.length,
+      requested: totalRequested,
+      selected: totalSelected,
+      fulfillmentPercentage: totalRequested > 0 ? Math.round((totalSelected / totalRequested) * 100) : 0,
+      withErrors: campaigns.filter(c => c.error).length
+    }
+  };
+}
+
+/**
+ * Process every unfinished campaign of a run with a pool of CAMPAIGN_CONCURRENCY workers, checkpointing after each step.
+ * Campaigns already completed are skipped and their contacts are kept out of later selections.
+ * @param {string} runId - OperationStatus id of the run
+ * @returns {Promise<void>}
+ */
+async function executeCampaignRun(runId) {
+  const key = String(runId);
+  if (activeRuns.has(key)) {
+    console.log(`[Campaign Runner] Run ${key} is already being processed`);
+    return;
+  }
+  activeRuns.add(key);
+
+  let run = null;
+  try {
+    run = await OperationStatus.findById(runId);
+    if (!run || run.status !== 'running') return;
+
+    const { daysFilter, modeFilter, allowOverlap, allocationStrategy } = run.filters || {};
+
+    const segmentationIds = run.campaigns.map(entry => entry.segmentationId);
+    const configs = await Segmentation.find({ _id: { $in: segmentationIds } }).lean();
+    const seedsById = new Map(run.campaigns.map(entry => [String(entry.segmentationId), entry.samplingSeed ?? undefined]));
+    const configsById = new Map(configs.map(config => [
+      String(config._id),
+      withSamplingSeed(config, seedsById.get(String(config._id)))
+    ]));
+
+    // A contact goes to at most one campaign per send date of the run (the assignment ledger dedupes across runs);
+    // contacts assigned before an interruption must not be selected again
+    const usedContacts = new Map();
+    run.campaigns
+      .filter(entry => entry.selectedAt && entry.contactIds && configsById.has(String(entry.segmentationId)))
+      .forEach(entry => {
+        const used = getForDate(usedContacts, configsById.get(String(entry.segmentationId)).date);
+        entry.contactIds.forEach(vid => used.add(vid));
+      });
+
+    const pending = run.campaigns.filter(entry => !FINISHED_CAMPAIGN_STATUSES.includes(entry.status));
+
+    // Source and suppression lists are read once per execution and shared by every campaign;
+    // a resumed run starts a new cache so later campaigns see current memberships
+    const membershipCache = createMembershipCache();
+    const suppressions = await loadSuppressions(membershipCache);
+    run.suppressionLists = suppressions.lists;
+
+    // Campaigns selected before an interruption keep their contacts; plan the rest
+    const unselected = pending
+      .filter(entry => !entry.selectedAt)
+      .map(entry => configsById.get(String(entry.segmentationId)))
+      .filter(Boolean);
+    const { plan, reservations } = await reserveAllocation(unselected, {
+      allocationStrategy,
+      usedContacts,
+      allowOverlap,
+      suppressions,
+      membershipCache
+    });
+    pending.forEach(entry => {
+      const planned = plan.get(String(entry.segmentationId));
+      if (planned) entry.plannedCount = planned.plannedCount;
+    });
+
+    // Campaigns currently processed by the run's workers, shown as the current campaign
+    const inFlight = new Set();
+    const setCurrentCampaigns = () => {
+      run.details.currentCampaign = inFlight.size > 0 ? [...inFlight].join(', ') : undefined;
+    };
+
+    const processEntry = async (entry) => {
+      const config = configsById.get(String(entry.segmentationId));
+
+      if (!config) {
+        entry.status = 'skipped';
+        entry.error = 'Segmentation row no longer exists';
+        entry.finishedAt = new Date();
+        await saveProgress(run, 'campaign_skipped', entry);
+        return;
+      }
+
+      const resumeState = entry.selectedAt ? entry.toObject() : null;
+      entry.status = 'processing';
+      entry.stage = 'selecting';
+      entry.startedAt = entry.startedAt || new Date();
+      inFlight.add(entry.campaign);
+      setCurrentCampaigns();
+      await saveProgress(run, 'campaign_started', entry);
+
+      try {
+        const result = await processSingleCampaign(config, daysFilter, modeFilter, getForDate(usedContacts, config.date), {
+          runId: run._id,
+          allowOverlap,
+          suppressedContacts: getSuppressedContacts(suppressions, config.brand),
+          reservedContacts: reservations.exceptFor(String(entry.segmentationId), config.date),
+          membershipCache,
+          resumeState,
+          onSelected: async (selection) => {
+            entry.selectedAt = entry.selectedAt || new Date();
+            entry.contactIds = selection.selectedContacts;
+            entry.availableCount = selection.availableCount;
+            entry.filteredCount = selection.filteredCount;
+            entry.suppressedCount = selection.suppressedCount;
+            entry.alreadyAssignedCount = selection.alreadyAssignedCount;
+            entry.frequencyCappedCount = selection.frequencyCappedCount;
+            entry.frequencyCapDrops = selection.frequencyCapDrops;
+            entry.sources = selection.sources;
+            entry.samplingMode = selection.samplingMode;
+            entry.samplingSeed = selection.samplingSeed;
+            entry.fulfillmentPercentage = selection.fulfillmentPercentage;
+            entry.fetchOutcome = selection.fetchOutcome;
+            entry.stage = 'creating_list';
+            await saveProgress(run, 'contacts_selected', entry);
+          },
+          onListCreated: async (list, listName) => {
+            entry.listId = list.listId;
+            entry.legacyListId = list.legacyListId;
+            entry.listName = listName;
+            await saveProgress(run, 'list_created', entry);
+          },
+          onProgress: async (stage) => {
+            entry.stage = stage;
+            await saveProgress(run, 'stage', entry);
+          },
+          checkpoint: () => applyRunControl(run)
+        });
+
+        entry.status = 'completed';
+        entry.contactCount = result.contactCount;
+        entry.propertyUpdates = result.propertyUpdates || undefined;
+        entry.failedMemberships = result.failedMemberships.map(({ listId, contactIds, error }) => ({
+          listId,
+          contactCount: contactIds.length,
+          error
+        }));
+
+        if (result.partialFailure) {
+          console.error(`⚠️ Campaign partly applied: ${config.campaign} - ${result.partialFailure}`);
+          entry.error = result.partialFailure;
+
+          if (ROLLBACK_ON_FAILURE) {
+            entry.stage = 'rolling_back';
+            await saveProgress(run, 'stage', entry);
+            const rollback = await rollbackCampaign(result.listId, { reason: `Automatic: ${result.partialFailure}`, requestedBy: 'system' });
+            entry.status = 'failed';
+            entry.rollbackStatus = rollback?.status;
+          }
+        }
+      } catch (error) {
+        if (error instanceof RunCancelledError) {
+          entry.status = 'cancelled';
+          entry.error = `Cancelled while ${(entry.stage || 'processing').replace(/_/g, ' ')}`;
+          entry.stage = undefined;
+          entry.finishedAt = new Date();
+          throw error;
+        }
+        console.error(`❌ Campaign failed: ${config.campaign}`);
+        entry.status = 'failed';
+        entry.error = error.message;
+
+        // Nothing reached HubSpot without a list, so free the selected contacts for other sends
+        if (!entry.listId) {
+          await releaseAssignments({ runId: run._id, segmentationId: entry.segmentationId }).catch(() => 0);
+        }
+      }
+
+      entry.stage = undefined;
+      entry.finishedAt = new Date();
+      reservations.release(String(entry.segmentationId));
+      inFlight.delete(entry.campaign);
+      setCurrentCampaigns();
+      await saveProgress(run, entry.status === 'completed' ? 'campaign_completed' : 'campaign_failed', entry);
+    };
+
+    // Workers take campaigns in run order. There is no pause between campaigns: HubSpot throughput is
+    // bounded by the client's shared rate budget (HUBSPOT_RATE_LIMIT_PER_SECOND), which every worker draws from.
+    // Once a worker fails (cancel or an error saving the run) no further campaign is handed out; the
+    // campaigns other workers already hold finish, and the run ends with the failure.
+    let nextIndex = 0;
+    let stopped = false;
+    const worker = async () => {
+      while (!stopped && nextIndex < pending.length) {
+        const entry = pending[nextIndex++];
+        try {
+          await applyRunControl(run);
+          await processEntry(entry);
+        } catch (error) {
+          stopped = true;
+          throw error;
+        }
+      }
+    };
+
+    const outcomes = await Promise.allSettled(
+      Array.from({ length: Math.min(CAMPAIGN_CONCURRENCY, pending.length) }, worker)
+    );
+    // A cancel stops every worker at its next checkpoint; report it over any other failure
+    const failures = outcomes.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+    if (failures.length > 0) {
+      throw failures.find(error => error instanceof RunCancelledError) || failures[0];
+    }
+
+    run.status = 'completed';
+    run.endTime = new Date();
+    run.details.currentCampaign = undefined;
+    await saveProgress(run, 'run_completed');
+
+    const cacheStats = membershipCache.getStats();
+    console.log(`🗂️ Membership cache: ${cacheStats.misses} list reads, ${cacheStats.hits} served from memory${cacheStats.expired ? `, ${cacheStats.expired} refreshed` : ''}`);
+    logRunSummary(run);
+  } catch (error) {
+    if (error instanceof RunCancelledError && run) {
+      await finalizeCancelledRun(run);
+      return;
+    }
+
+    console.error(`[Campaign Runner] Run ${key} failed:`, error.message);
+    const failedRun = await OperationStatus.findByIdAndUpdate(
+      runId,
+      { $set: { status: 'failed', error: error.message, endTime: new Date() } },
+      { new: true }
+    ).catch(() => null);
+    if (failedRun) publishProgress(failedRun, 'run_failed');
+  } finally {
+    activeRuns.delete(key);
+    runControls.delete(key);
+  }
+}
+
+/**
+ * Honour a pending pause or cancel request for an executing run.
+ * Waits while the run is paused; throws RunCancelledError once it is cancelled.
+ * @param {Object} run - OperationStatus document being executed
+ * @returns {Promise<void>}
+ */
+async function applyRunControl(run) {
+  const key = String(run._id);
+
+  if (runControls.get(key) === 'pause') {
+    if (!pauseWaits.has(key)) {
+      pauseWaits.set(key, waitWhilePaused(run).finally(() => pauseWaits.delete(key)));
+    }
+    await pauseWaits.get(key);
+  }
+
+  if (runControls.get(key) === 'cancel') {
+    throw new RunCancelledError();
+  }
+}
+
+// Record the pause, wait until the run is resumed or cancelled, then record the resume
+async function waitWhilePaused(run) {
+  const key = String(run._id);
+
+  run.status = 'paused';
+  run.pausedAt = new Date();
+  await saveProgress(run, 'run_paused');
+  console.log(`[Campaign Runner] ⏸️ Run ${key} paused`);
+
+  while (runControls.get(key) === 'pause') {
+    await new Promise(r => setTimeout(r, CONTROL_POLL_MS));
+  }
+
+  if (runControls.get(key) !== 'cancel') {
+    run.status = 'running';
+    run.pausedAt = undefined;
+    await saveProgress(run, 'run_resumed');
+    console.log(`[Campaign Runner] ▶️ Run ${key} resumed`);
+  }
+}
+
+// Record a cancelled run: campaigns that never finished are marked skipped
+async function finalizeCancelledRun(run) {
+  const now = new Date();
+  run.campaigns
+    .filter(entry => !FINISHED_CAMPAIGN_STATUSES.includes(entry.status))
+    .forEach(entry => {
+      entry.status = 'skipped';
+      entry.stage = undefined;
+      entry.error = 'Run cancelled before this campaign was processed';
+      entry.finishedAt = now;
+    });
+
+  // A cancel requested while the workers ran is only on the stored record, not on this copy of the run;
+  // cancelledAt stays the time the user cancelled, not the time the workers stopped
+  if (!run.cancelledAt) {
+    const requested = await OperationStatus.findById(run._id).select('cancelledAt cancelledBy').lean();
+    run.cancelledAt = requested?.cancelledAt || now;
+    run.cancelledBy = run.cancelledBy || requested?.cancelledBy;
+  }
+  run.status = 'cancelled';
+  run.endTime = now;
+  run.details.currentCampaign = undefined;
+  await saveProgress(run, 'run_cancelled');
+
+  console.log(`[Campaign Runner] ⏹️ Run ${run._id} cancelled`);
+  logRunSummary(run);
+}
+
+/**
+ * Pause a run before its next campaign or membership chunk
+ * @param {string} runId - OperationStatus id
+ * @returns {Promise<Object|null>} - { applied, message, run } or null if the run does not exist
+ */
+async function pauseRun(runId) {
+  const key = String(runId);
+  const run = await OperationStatus.findById(runId);
+  if (!run) return null;
+
+  if (run.status !== 'running') {
+    return { applied: false, message: `Run is ${run.status} and cannot be paused`, run: summarizeRun(run) };
+  }
+
+  if (activeRuns.has(key)) {
+    runControls.set(key, 'pause');
+  } else {
+    run.status = 'paused';
+    run.pausedAt = new Date();
+    await run.save();
+  }
+
+  return { applied: true, message: 'Run will pause before the next campaign or membership chunk', run: summarizeRun(run) };
+}
+
+/**
+ * Resume a paused run (also restarts paused runs left over from a previous server process)
+ * @param {string} runId - OperationStatus id
+ * @returns {Promise<Object|null>} - { applied, message, run } or null if the run does not exist
+ */
+async function resumeRun(runId) {
+  const key = String(runId);
+  const run = await OperationStatus.findById(runId);
+  if (!run) return null;
+
+  if (runControls.get(key) === 'pause') {
+    runControls.delete(key);
+    return { applied: true, message: 'Run resumed', run: summarizeRun(run) };
+  }
+
+  if (run.status !== 'paused' || activeRuns.has(key)) {
+    return { applied: false, message: `Run is ${run.status} and cannot be resumed`, run: summarizeRun(run) };
+  }
+
+  run.status = 'running';
+  run.pausedAt = undefined;
+  run.resumeCount = (run.resumeCount || 0) + 1;
+  run.lastResumedAt = new Date();
+  await run.save();
+
+  setImmediate(() => {
+    executeCampaignRun(run._id).catch(error => {
+      console.error('❌ Overall process failed:', error.message);
+    });
+  });
+
+  return { applied: true, message: 'Run resumed', run: summarizeRun(run) };
+}
+
+/**
+ * Cancel a running or paused run. Takes effect before the next campaign or membership chunk;
+ * campaigns not processed yet are recorded as skipped.
+ * @param {string} runId - OperationStatus id
+ * @param {string} [user] - Email of the user cancelling the run
+ * @returns {Promise<Object|null>} - { applied, message, run } or null if the run does not exist
+ */
+async function cancelRun(runId, user) {
+  const key = String(runId);
+  const run = await OperationStatus.findById(runId);
+  if (!run) return null;
+
+  if (!['running', 'paused'].includes(run.status)) {
+    return { applied: false, message: `Run is ${run.status} and cannot be cancelled`, run: summarizeRun(run) };
+  }
+
+  if (activeRuns.has(key)) {
+    // A repeated cancel keeps the time and user of the first one
+    await OperationStatus.updateOne({ _id: run._id, cancelledAt: null }, { $set: { cancelledAt: new Date(), cancelledBy: user } });
+    runControls.set(key, 'cancel');
+    return { applied: true, message: 'Run will stop before the next campaign or membership chunk', run: summarizeRun(run) };
+  }
+
+  if (!run.cancelledAt) {
+    run.cancelledAt = new Date();
+    run.cancelledBy = user;
+  }
+  await finalizeCancelledRun(run);
+  return { applied: true, message: 'Run cancelled', run: summarizeRun(run) };
+}
+
+/**
+ * Resume list creation runs left in "running" state by a restart or crash.
+ * Called once on server start.
+ * @returns {Promise<number>} - Number of runs resumed
+ */
+async function resumeInterruptedRuns() {
+  try {
+    const interrupted = await OperationStatus.find({ type: 'list_creation', status: 'running' });
+
+    for (const run of interrupted) {
+      if (activeRuns.has(String(run._id))) continue;
+
+      const remaining = run.campaigns.filter(entry => !FINISHED_CAMPAIGN_STATUSES.includes(entry.status)).length;
+      console.log(`[Campaign Runner] ♻️ Resuming interrupted run ${run._id} (${remaining} of ${run.campaigns.length} campaigns remaining)`);
+
+      run.resumeCount = (run.resumeCount || 0) + 1;
+      run.lastResumedAt = new Date();
+      await run.save();
+
+      setImmediate(() => {
+        executeCampaignRun(run._id).catch(error => {
+          console.error('❌ Overall process failed:', error.message);
+        });
+      });
+    }
+
+    return interrupted.length;
+  } catch (error) {
+    console.error('[Campaign Runner] Error resuming interrupted runs:', error);
+    return 0;
+  }
+}
+
+function countFinished(run) {
+  return run.campaigns.filter(entry => FINISHED_CAMPAIGN_STATUSES.includes(entry.status)).length;
+}
+
+// Estimate completion from the pace of this run so far (unknown until a campaign has finished)
+function estimateCompletionTime(run) {
+  const processed = countFinished(run);
+  const remaining = run.campaigns.length - processed;
+  if (remaining === 0) return new Date();
+
+  const since = run.lastResumedAt || run.startTime;
+  const processedSinceStart = run.campaigns.filter(entry =>
+    FINISHED_CAMPAIGN_STATUSES.includes(entry.status) && entry.finishedAt >= since
+  ).length;
+  if (processedSinceStart === 0) return undefined;
+
+  const perCampaignMs = (Date.now() - since.getTime()) / processedSinceStart;
+  return new Date(Date.now() + remaining * perCampaignMs);
+}
+
+// Update the run details, persist the checkpoint and notify progress listeners
+async function saveProgress(run, type, entry) {
+  run.details.totalCampaigns = run.campaigns.length;
+  run.details.processedCampaigns = countFinished(run);
+  run.details.estimatedCompletionTime = run.status === 'running' ? estimateCompletionTime(run) : undefined;
+
+  const key = String(run._id);
+  const saving = (pendingSaves.get(key) || Promise.resolve()).catch(() => {}).then(() => run.save());
+  pendingSaves.set(key, saving);
+  try {
+    await saving;
+  } finally {
+    if (pendingSaves.get(key) === saving) pendingSaves.delete(key);
+  }
+  publishProgress(run, type, entry);
+}
+
+function publishProgress(run, type, entry) {
+  runEvents.emit('progress', String(run._id), {
+    type,
+    campaign: entry ? summarizeCampaign(entry) : undefined,
+    run: summarizeRun(run)
+  });
+}
+
+function summarizeCampaign(entry) {
+  return {
+    segmentationId: entry.segmentationId,
+    campaign: entry.campaign,
+    brand: entry.brand,
+    status: entry.status,
+    stage: entry.stage,
+    listId: entry.listId,
+    listName: entry.listName,
+    requestedCount: entry.requestedCount,
+    plannedCount: entry.plannedCount,
+    selectedCount: entry.contactIds ? entry.contactIds.length : undefined,
+    contactCount: entry.contactCount,
+    availableCount: entry.availableCount,
+    filteredCount: entry.filteredCount,
+    suppressedCount: entry.suppressedCount,
+    alreadyAssignedCount: entry.alreadyAssignedCount,
+    frequencyCappedCount: entry.frequencyCappedCount,
+    frequencyCapDrops: entry.frequencyCapDrops,
+    sources: entry.sources,
+    rollbackStatus: entry.rollbackStatus,
+    failedMemberships: entry.failedMemberships,
+    propertyUpdates: entry.propertyUpdates,
+    samplingMode: entry.samplingMode,
+    samplingSeed: entry.samplingSeed,
+    fulfillmentPercentage: entry.fulfillmentPercentage,
+    fetchOutcome: entry.fetchOutcome,
+    startedAt: entry.startedAt,
+    finishedAt: entry.finishedAt,
+    error: entry.error
+  };
+}
+
+/**
+ * Shape a run record for API responses (contact id arrays are reduced to counts)
+ * @param {Object} run - OperationStatus document or lean object
+ * @returns {Object} - Run summary
+ */
+function summarizeRun(run) {
+  const campaigns = run.campaigns || [];
+  return {
+    id: run._id,
+    type: run.type,
+    status: run.status,
+    user: run.user,
+    scheduleId: run.scheduleId,
+    filters: run.filters,
+    suppressionLists: run.suppressionLists,
+    startTime: run.startTime,
+    endTime: run.endTime,
+    resumeCount: run.resumeCount,
+    pausedAt: run.pausedAt,
+    cancelledAt: run.cancelledAt,
+    cancelledBy: run.cancelledBy,
+    details: {
+      totalCampaigns: run.details?.totalCampaigns ?? campaigns.length,
+      processedCampaigns: run.details?.processedCampaigns ?? 0,
+      currentCampaign: run.details?.currentCampaign,
+      estimatedCompletionTime: run.details?.estimatedCompletionTime
+    },
+    campaigns: campaigns.map(summarizeCampaign),
+    totals: getRunTotals(campaigns),
+    errors: campaigns
+      .filter(entry => entry.error)
+      .map(entry => ({ campaign: entry.campaign, error: entry.error }))
+      .concat(run.error ? [{ campaign: null, error: run.error }] : []),
+    error: run.error
+  };
+}
+
+/**
+ * Fetch a run summary by id
+ * @param {string} runId - OperationStatus id
+ * @returns {Promise<Object|null>} - Run summary or null if not found
+ */
+async function getRunSummary(runId) {
+  const run = await OperationStatus.findById(runId).lean();
+  return run ? summarizeRun(run) : null;
+}
+
+/**
+ * List creation runs, newest first, for the run history page
+ * @param {Object} [options] - { status, user, from, to (Date), limit, skip }
+ * @returns {Promise<Object>} - { runs, total }
+ */
+async function listRuns(options = {}) {
+  const query = { type: 'list_creation' };
+  if (options.status) query.status = options.status;
+  if (options.user) query.user = options.user;
+  if (options.from || options.to) {
+    query.startTime = {
+      ...(options.from ? { $gte: options.from } : {}),
+      ...(options.to ? { $lte: options.to } : {})
+    };
+  }
+
+  const [runs, total] = await Promise.all([
+    OperationStatus.find(query)
+      .select('-campaigns.contactIds')
+      .sort({ startTime: -1 })
+      .skip(options.skip || 0)
+      .limit(options.limit || 50)
+      .lean(),
+    OperationStatus.countDocuments(query)
+  ]);
+
+  return { runs: runs.map(summarizeRun), total };
+}
+
+// Outcome totals of a run: the end-of-run summary, also shown in run history and exports
+function getRunTotals(campaigns) {
+  const successful = campaigns.filter(entry => entry.status === 'completed');
+  const totalRequested = campaigns.reduce((sum, c) => sum + (c.requestedCount || 0), 0);
+
+  return {
+    successCount: successful.length,
+    failedCount: campaigns.filter(entry => entry.status === 'failed').length,
+    skippedCount: campaigns.filter(entry => entry.status === 'skipped' || entry.status === 'cancelled').length,
+    pendingCount: campaigns.filter(entry => !FINISHED_CAMPAIGN_STATUSES.includes(entry.status)).length,
+    totalRequested,
+    totalFulfilled: successful.reduce((sum, c) => sum + (c.contactCount || 0), 0),
+    averageFulfillment: Math.round(successful.reduce((sum, c) => sum + (c.fulfillmentPercentage || 0), 0) / (successful.length || 1))
+  };
+}
+
+function logRunSummary(run) {
+  const totals = getRunTotals(run.campaigns);
+
+  console.log(`\n🎯 Campaign run complete`);
+  console.log(`✅ Success: ${totals.successCount}`);
+  console.log(`❌ Failed: ${run.campaigns.length - totals.successCount}`);
+  console.log(`📊 Total Requested: ${totals.totalRequested}`);
+  console.log(`📊 Total Fulfilled: ${totals.totalFulfilled}`);
+  console.log(`📊 Average Fulfillment: ${totals.averageFulfillment}%`);
+}
+
+module.exports = {
+  CAMPAIGN_CONCURRENCY,
+  findCampaignsForFilters,
+  startCampaignRun,
+  previewCampaignRun,
+  executeCampaignRun,
+  resumeInterruptedRuns,
+  pauseRun,
+  resumeRun,
+  cancelRun,
+  getRunSummary,
+  listRuns,
+  summarizeRun,
+  runEvents
+};
@@ -0,0 +1,121 @@
+const archiver = require('archiver');
+const CreatedList = require('../models/list');
+const ContactAssignment = require('../models/contactAssignment');
+const OperationStatus = require('../models/operationStatus');
+const { hubspot } = require('./hubspotClient');
+const { escapeCsv } = require('./runReport');
+
+const BATCH_READ_SIZE = 100; // HubSpot batch read limit
+const DETAIL_PROPERTIES = ['email', 'firstname', 'lastname'];
+
+/**
+ * Contacts selected for a created list, with the source list each came from.
+ * Reads the assignment ledger; once the ledger entries are past retention, falls back to the run checkpoint (no sources).
+ * @param {Object} list - CreatedList record
+ * @returns {Promise<Array<Object>>} - [{ contactId, sourceListId, addedToSendList }]
+ */
+async function getSelectedContacts(list) {
+  const assignments = await ContactAssignment.find({ listId: list.listId })
+    .select('contactId sourceListId addedToSendList')
+    .sort({ _id: 1 })
+    .lean();
+
+  if (assignments.length > 0) {
+    return assignments.map(({ contactId, sourceListId, addedToSendList }) => ({ contactId, sourceListId, addedToSendList }));
+  }
+
+  if (!list.runId) return [];
+  const run = await OperationStatus.findById(list.runId).select('campaigns.listId campaigns.contactIds').lean();
+  const entry = run?.campaigns.find(campaign => campaign.listId === list.listId);
+  return (entry?.contactIds || []).map(contactId => ({ contactId }));
+}
+
+/**
+ * Email and name of contacts, read from HubSpot in batches
+ * @param {Array<number>} contactIds - Contacts to read
+ * @returns {Promise<Map<number, Object>>} - contactId -> { email, firstname, lastname }
+ */
+async function readContactDetails(contactIds) {
+  const details = new Map();
+
+  for (let i = 0; i < contactIds.length; i += BATCH_READ_SIZE) {
+    const response = await hubspot.post('/crm/v3/objects/contacts/batch/read', {
+      properties: DETAIL_PROPERTIES,
+      inputs: contactIds.slice(i, i + BATCH_READ_SIZE).map(id => ({ id: id.toString() }))
+    });
+
+    for (const contact of response.data.results || []) {
+      details.set(Number(contact.id), contact.properties || {});
+    }
+  }
+
+  return details;
+}
+
+/**
+ * CSV of the contacts selected for one created list
+ * @param {Object} list - CreatedList record
+ * @param {Object} [options] - { includeDetails } to add email and name from HubSpot
+ * @returns {Promise<Object>} - { filename, body, contactCount }
+ */
+async function buildListContactsCsv(list, options = {}) {
+  const contacts = await getSelectedContacts(list);
+  const details = options.includeDetails ? await readContactDetails(contacts.map(c => c.contactId)) : null;
+
+  const columns = [
+    ['Contact ID', (c) => c.contactId],
+    ['Source List ID', (c) => c.sourceListId],
+    ['Added To Send List', (c) => (c.addedToSendList === undefined ? '' : c.addedToSendList ? 'yes' : 'no')],
+    ['List ID', () => list.listId],
+    ['List Name', () => list.name],
+    ['Campaign', () => list.campaignDetails?.campaign],
+    ['Brand', () => list.campaignDetails?.brand],
+    ['Send Date', () => list.campaignDetails?.date]
+  ];
+  if (details) {
+    columns.push(
+      ['Email', (c) => details.get(c.contactId)?.email],
+      ['First Name', (c) => details.get(c.contactId)?.firstname],
+      ['Last Name', (c) => details.get(c.contactId)?.lastname]
+    );
+  }
+
+  const header = columns.map(([name]) => name).join(',');
+  const rows = contacts.map(contact => columns.map(([, getValue]) => escapeCsv(getValue(contact))).join(','));
+
+  return {
+    filename: `list-${list.listId}-contacts.csv`,
+    body: [header, ...rows].join('\r\n') + '\r\n',
+    contactCount: contacts.length
+  };
+}
+
+/**
+ * ZIP with one contacts CSV per list created by a run
+ * @param {string} runId - OperationStatus id
+ * @param {Object} [options] - { includeDetails }
+ * @returns {Promise<Object|null>} - { filename, archive, listCount } with archive ready to pipe, or null if the run created no lists
+ */
+async function buildRunContactsZip(runId, options = {}) {
+  const lists = await CreatedList.find({ runId }).sort({ createdDate: 1 }).lean();
+  if (lists.length === 0) return null;
+
+  // Build every CSV before anything is streamed, so a HubSpot error can still become an error response
+  const files = [];
+  for (const list of lists) {
+    files.push(await buildListContactsCsv(list, options));
+  }
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  files.forEach(file => archive.append(file.body, { name: file.filename }));
+  // Failures surface through the archive's 'error' event, which the caller handles
+  archive.finalize().catch(() => {});
+
+  return { filename: `campaign-run-${runId}-contacts.zip`, archive, listCount: files.length };
+}
+
+module.exports = {
+  getSelectedContacts,
+  buildListContactsCsv,
+  buildRunContactsZip
+};
@@ -0,0 +1,196 @@
+// Minimal five-field cron expressions: "minute hour day-of-month month day-of-week".
+// Each field accepts *, numbers, lists (1,15), ranges (1-5) and steps (*/15, 9-17/2); day-of-week 0 and 7 are Sunday.
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Building a formatter is slow compared to using one, and the scheduler checks every minute
+const formatters = new Map();
+
+// Thrown for an expression that cannot be parsed; the message is safe to show to the user
+class CronParseError extends Error {
+  constructor(message, expression) {
+    super(message);
+    this.name = 'CronParseError';
+    this.expression = expression;
+  }
+}
+
+function parseCronField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new CronParseError(`Invalid ${field.name} field "${text}"`, expression);
+    }
+
+    const [, start, end, step] = match;
+    const from = start === '*' ? field.min : parseInt(start);
+    // "5/10" means every 10 from 5 to the end of the field
+    const to = start === '*' ? field.max : end !== undefined ? parseInt(end) : step !== undefined ? field.max : from;
+    const increment = step !== undefined ? parseInt(step) : 1;
+
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw new CronParseError(`${field.name} must be between ${field.min} and ${field.max} (got "${part}")`, expression);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 6 * * 1-5" (06:00 on weekdays)
+ * @returns {Object} - { minute, hour, dayOfMonth, month, dayOfWeek } value sets, plus whether the day fields are restricted
+ * @throws {CronParseError} - Wrong number of fields or a value out of range
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new CronParseError('Cron expressions need 5 fields: minute hour day-of-month month day-of-week', expression);
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseCronField(parts[index], field, expression);
+  });
+
+  // Sunday may be written as 7
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+/**
+ * Wall clock fields of a moment in a timezone
+ * @param {Date} date - Moment to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { minute, hour, dayOfMonth, month, dayOfWeek, year }
+ */
+function getZonedDateParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      minute: 'numeric',
+      hour: 'numeric',
+      day: 'numeric',
+      month: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    minute: parseInt(parts.minute),
+    hour: parseInt(parts.hour),
+    dayOfMonth: parseInt(parts.day),
+    month: parseInt(parts.month),
+    dayOfWeek: WEEKDAYS[parts.weekday],
+    year: parseInt(parts.year)
+  };
+}
+
+/**
+ * Check whether a parsed cron expression fires in the minute of a moment
+ * @param {Object} parsed - From parseCron
+ * @param {Date} date - Moment to check
+ * @param {string} timezone - IANA timezone the expression is written in
+ * @returns {boolean}
+ */
+function matchesCron(parsed, date, timezone) {
+  const now = getZonedDateParts(date, timezone);
+  return matchesCronDay(parsed, now) && parsed.hour.has(now.hour) && parsed.minute.has(now.minute);
+}
+
+function matchesCronDay(parsed, now) {
+  if (!parsed.month.has(now.month)) return false;
+
+  // Standard cron: when both day fields are restricted, either one matching is enough
+  const dayOfMonthMatch = parsed.dayOfMonth.has(now.dayOfMonth);
+  const dayOfWeekMatch = parsed.dayOfWeek.has(now.dayOfWeek);
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+  return dayOfMonthMatch && dayOfWeekMatch;
+}
+
+// Wall clock of zoned date parts as a UTC timestamp, for arithmetic on local dates and times
+const getWallTime = (parts) => Date.UTC(parts.year, parts.month - 1, parts.dayOfMonth, parts.hour, parts.minute);
+
+// First moment after `time` (whose wall clock is `wall`) showing the wall clock `targetWall`. Moving by the wall clock
+// difference is off by the DST change when one lies in between, so the result is corrected by it; a wall clock time
+// a DST change skips gives the moment after the gap.
+function advanceToWallTime(time, wall, targetWall, timezone) {
+  const guess = time + (targetWall - wall);
+  const correction = targetWall - getWallTime(getZonedDateParts(new Date(guess), timezone));
+  if (correction === 0) return guess;
+
+  const corrected = guess + correction;
+  const correctedWall = getWallTime(getZonedDateParts(new Date(corrected), timezone));
+  return corrected > time && correctedWall === targetWall ? corrected : guess;
+}
+
+/**
+ * Next minute (within the coming year) a cron expression fires, for display.
+ * Jumps to the next month, day, hour and minute in turn instead of checking every minute.
+ * @param {Object} parsed - From parseCron
+ * @param {string} timezone - IANA timezone the expression is written in
+ * @param {Date} [from] - Start searching after this moment
+ * @returns {Date|null} - Null if nothing matches within a year (e.g. "0 0 31 2 *")
+ */
+function getNextCronTime(parsed, timezone, from = new Date()) {
+  const MINUTE_MS = 60 * 1000;
+  const start = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const end = start + 366 * 24 * 60 * MINUTE_MS;
+
+  let time = start;
+  while (time < end) {
+    const now = getZonedDateParts(new Date(time), timezone);
+    let target;
+    if (!parsed.month.has(now.month)) {
+      target = Date.UTC(now.year, now.month, 1); // Midnight on the 1st of the next month
+    } else if (!matchesCronDay(parsed, now)) {
+      target = Date.UTC(now.year, now.month - 1, now.dayOfMonth + 1);
+    } else if (!parsed.hour.has(now.hour)) {
+      target = Date.UTC(now.year, now.month - 1, now.dayOfMonth, now.hour + 1);
+    } else if (!parsed.minute.has(now.minute)) {
+      const laterMinutes = [...parsed.minute].filter(minute => minute > now.minute);
+      target = laterMinutes.length > 0
+        ? Date.UTC(now.year, now.month - 1, now.dayOfMonth, now.hour, Math.min(...laterMinutes))
+        : Date.UTC(now.year, now.month - 1, now.dayOfMonth, now.hour + 1);
+    } else {
+      return new Date(time);
+    }
+    time = advanceToWallTime(time, getWallTime(now), target, timezone);
+  }
+  return null;
+}
+
+module.exports = {
+  CronParseError,
+  parseCron,
+  matchesCron,
+  getZonedDateParts,
+  getNextCronTime
+};
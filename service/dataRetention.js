@@ -1,5 +1,7 @@
 const ClonedEmail = require('../models/clonedEmail');
 const CreatedList = require('../models/list');
+const ContactAssignment = require('../models/contactAssignment');
+const PropertyUpdateBatch = require('../models/propertyUpdateBatch');
 
 // Configuration - Keep only last 31 days of data
 const RETENTION_DAYS = 31;
@@ -81,8 +83,66 @@ async function cleanupOldCreatedLists() {
 }
 
 /**
- * Run complete data retention cleanup for both emails and lists
- * @returns {Promise<Object>} Combined results from all cleanup operations
+ * Delete contact assignment ledger entries older than 31 days from MongoDB
+ * @returns {Promise<Object>} Result with count of deleted documents
+ */
+async function cleanupOldContactAssignments() {
+  try {
+    const cutoffDate = getRetentionCutoffDate();
+
+    const result = await ContactAssignment.deleteMany({
+      createdAt: { $lt: cutoffDate }
+    });
+
+    console.log(`[Data Retention] Deleted ${result.deletedCount} contact assignments older than ${RETENTION_DAYS} days (before ${cutoffDate.toISOString()})`);
+
+    return {
+      success: true,
+      deletedCount: result.deletedCount,
+      cutoffDate: cutoffDate
+    };
+  } catch (error) {
+    console.error('[Data Retention] Error cleaning up contact assignments:', error);
+    return {
+      success: false,
+      error: error.message,
+      deletedCount: 0
+    };
+  }
+}
+
+/**
+ * Delete property update batch results older than 31 days from MongoDB
+ * @returns {Promise<Object>} Result with count of deleted documents
+ */
+async function cleanupOldPropertyUpdateBatches() {
+  try {
+    const cutoffDate = getRetentionCutoffDate();
+
+    const result = await PropertyUpdateBatch.deleteMany({
+      createdAt: { $lt: cutoffDate }
+    });
+
+    console.log(`[Data Retention] Deleted ${result.deletedCount} property update batches older than ${RETENTION_DAYS} days (before ${cutoffDate.toISOString()})`);
+
+    return {
+      success: true,
+      deletedCount: result.deletedCount,
+      cutoffDate: cutoffDate
+    };
+  } catch (error) {
+    console.error('[Data Retention] Error cleaning up property update batches:', error);
+    return {
+      success: false,
+      error: error.message,
+      deletedCount: 0
+    };
+  }
+}
+
+/**
+ * Run complete data retention cleanup for emails, lists, contact assignments and property update batches
+ * @returns {Promise<Object>} Combined results from all cleanup operations, with totalDeleted
  */
 async function runDataRetentioncleanup() {
   console.log(`[Data Retention] Starting cleanup - deleting data older than ${RETENTION_DAYS} days`);
@@ -91,13 +151,19 @@ async function runDataRetentioncleanup() {
     timestamp: new Date().toISOString(),
     retentionDays: RETENTION_DAYS,
     clonedEmails: await cleanupOldClonedEmails(),
-    createdLists: await cleanupOldCreatedLists()
+    createdLists: await cleanupOldCreatedLists(),
+    contactAssignments: await cleanupOldContactAssignments(),
+    propertyUpdateBatches: await cleanupOldPropertyUpdateBatches()
   };
+  results.totalDeleted = results.clonedEmails.deletedCount + results.createdLists.deletedCount +
+    results.contactAssignments.deletedCount + results.propertyUpdateBatches.deletedCount;
 
   console.log('[Data Retention] cleanup completed:', {
     clonedEmailsDeleted: results.clonedEmails.deletedCount,
     createdListsDeleted: results.createdLists.deletedCount,
-    totalDeleted: results.clonedEmails.deletedCount + results.createdLists.deletedCount
+    contactAssignmentsDeleted: results.contactAssignments.deletedCount,
+    propertyUpdateBatchesDeleted: results.propertyUpdateBatches.deletedCount,
+    totalDeleted: results.totalDeleted
   });
 
   return results;
@@ -158,7 +224,9 @@ function initializeAutocleanup() {
         console.log('═══════════════════════════════════════════════════════════');
         console.log(`📧 Cloned Emails Deleted: ${results.clonedEmails.deletedCount}`);
         console.log(`📋 Created Lists Deleted: ${results.createdLists.deletedCount}`);
-        console.log(`📊 Total Records Deleted: ${results.clonedEmails.deletedCount + results.createdLists.deletedCount}`);
+        console.log(`👥 Contact Assignments Deleted: ${results.contactAssignments.deletedCount}`);
+        console.log(`🏷️ Property Update Batches Deleted: ${results.propertyUpdateBatches.deletedCount}`);
+        console.log(`📊 Total Records Deleted: ${results.totalDeleted}`);
         console.log(`📅 Next cleanup: Tomorrow at ${cleanup_HOUR.toString().padStart(2, '0')}:${cleanup_MINUTE.toString().padStart(2, '0')} AM`);
         console.log('═══════════════════════════════════════════════════════════\n');
       } catch (error) {
@@ -188,7 +256,9 @@ function initializeAutocleanup() {
         console.log('═══════════════════════════════════════════════════════════');
         console.log(`📧 Cloned Emails Deleted: ${results.clonedEmails.deletedCount}`);
         console.log(`📋 Created Lists Deleted: ${results.createdLists.deletedCount}`);
-        console.log(`📊 Total Records Deleted: ${results.clonedEmails.deletedCount + results.createdLists.deletedCount}`);
+        console.log(`👥 Contact Assignments Deleted: ${results.contactAssignments.deletedCount}`);
+        console.log(`🏷️ Property Update Batches Deleted: ${results.propertyUpdateBatches.deletedCount}`);
+        console.log(`📊 Total Records Deleted: ${results.totalDeleted}`);
         console.log(`📅 Next cleanup: Tomorrow at ${cleanup_HOUR.toString().padStart(2, '0')}:${cleanup_MINUTE.toString().padStart(2, '0')} AM`);
         console.log('═══════════════════════════════════════════════════════════\n');
       } catch (error) {
@@ -213,6 +283,8 @@ module.exports = {
   runDataRetentioncleanup,
   cleanupOldClonedEmails,
   cleanupOldCreatedLists,
+  cleanupOldContactAssignments,
+  cleanupOldPropertyUpdateBatches,
   getRetentionCutoffDate,
   initializeAutocleanup,
   stopAutocleanup,
@@ -0,0 +1,186 @@
+// Timezone relative filters (today, t+N) are resolved in; Segmentation dates are plain YYYY-MM-DD send dates
+const APP_TIMEZONE = process.env.APP_TIMEZONE || 'UTC';
+const MAX_RANGE_DAYS = parseInt(process.env.MAX_DATE_RANGE_DAYS) || 31;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Thrown for a date filter that cannot be resolved; the message is safe to show to the user
+class DateFilterError extends Error {
+  constructor(message, received) {
+    super(message);
+    this.name = 'DateFilterError';
+    this.received = received;
+  }
+}
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// A real calendar date in YYYY-MM-DD format (rejects 2025-02-30)
+const isValidIsoDate = (value) => {
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Today's calendar date in a timezone
+ * @param {string} [timezone] - IANA timezone, defaults to APP_TIMEZONE
+ * @param {Date} [now] - Reference time
+ * @returns {string} - YYYY-MM-DD
+ */
+function getTodayInTimezone(timezone = APP_TIMEZONE, now = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+/**
+ * Shift a calendar date by whole days
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - YYYY-MM-DD
+ */
+function addDays(isoDate, days) {
+  return new Date(new Date(`${isoDate}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve a relative day filter ('today', 't+N') to a date in the given timezone
+ * @param {string} daysFilter - 'today' or 't+N'
+ * @param {string} [timezone] - IANA timezone, defaults to APP_TIMEZONE
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} - YYYY-MM-DD, or null if the filter is not relative
+ */
+function getFilteredDate(daysFilter, timezone = APP_TIMEZONE, now = new Date()) {
+  const today = getTodayInTimezone(timezone, now);
+
+  if (daysFilter === 'today') return today;
+
+  const match = /^t\+(\d+)$/.exec(daysFilter || '');
+  return match ? addDays(today, parseInt(match[1])) : null;
+}
+
+/**
+ * Turn the list creation date filter into an inclusive window of send dates.
+ * daysFilter is 'all', 'today', 't+N', 'date' (startDate) or 'range' (startDate to endDate).
+ * @param {Object} filter - { daysFilter, startDate, endDate, timezone, now } (now = reference time of 'today' and 't+N')
+ * @returns {Object} - { daysFilter, startDate, endDate, timezone } (no dates for 'all')
+ * @throws {DateFilterError} - Unknown filter, invalid date or timezone, or a range that is reversed or too long
+ */
+function resolveDateWindow(filter = {}) {
+  const { daysFilter, startDate, endDate } = filter;
+  const timezone = filter.timezone || APP_TIMEZONE;
+
+  if (!isValidTimezone(timezone)) {
+    throw new DateFilterError(`Unknown timezone "${timezone}"`, timezone);
+  }
+
+  if (daysFilter === 'all') {
+    return { daysFilter, timezone };
+  }
+
+  if (daysFilter === 'today' || /^t\+\d+$/.test(daysFilter || '')) {
+    const date = getFilteredDate(daysFilter, timezone, filter.now);
+    return { daysFilter, startDate: date, endDate: date, timezone };
+  }
+
+  if (daysFilter === 'date') {
+    if (!isValidIsoDate(startDate)) {
+      throw new DateFilterError('startDate must be a valid date in YYYY-MM-DD format', startDate);
+    }
+    return { daysFilter, startDate, endDate: startDate, timezone };
+  }
+
+  if (daysFilter === 'range') {
+    if (!isValidIsoDate(startDate) || !isValidIsoDate(endDate)) {
+      throw new DateFilterError('startDate and endDate must be valid dates in YYYY-MM-DD format', { startDate, endDate });
+    }
+    if (startDate > endDate) {
+      throw new DateFilterError('startDate must not be after endDate', { startDate, endDate });
+    }
+    const days = countDays(startDate, endDate);
+    if (days > MAX_RANGE_DAYS) {
+      throw new DateFilterError(`Date ranges are limited to ${MAX_RANGE_DAYS} days (got ${days})`, { startDate, endDate });
+    }
+    return { daysFilter, startDate, endDate, timezone };
+  }
+
+  throw new DateFilterError('Valid values are: all, today, t+N, date (with startDate) or range (with startDate and endDate)', daysFilter);
+}
+
+// Number of calendar days in an inclusive window
+function countDays(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+/**
+ * Mongo condition on Segmentation.date for a resolved window
+ * @param {Object} window - From resolveDateWindow
+ * @returns {Object} - {} for 'all', otherwise { date: ... }
+ */
+function buildDateQuery(window) {
+  if (!window.startDate) return {};
+  if (window.startDate === window.endDate) return { date: window.startDate };
+  return { date: { $gte: window.startDate, $lte: window.endDate } };
+}
+
+/**
+ * Report which Segmentation rows fall into a window, grouped by send date
+ * @param {Array<Object>} rows - Matching Segmentation rows
+ * @param {Object} window - From resolveDateWindow
+ * @returns {Object} - { window, totalRows, totalRequested, dates: [{ date, rows }], emptyDates }
+ */
+function describeWindowMatches(rows, window) {
+  const byDate = new Map();
+  for (const row of rows) {
+    if (!byDate.has(row.date)) byDate.set(row.date, []);
+    byDate.get(row.date).push({
+      id: row._id,
+      campaign: row.campaign,
+      brand: row.brand,
+      count: row.count
+    });
+  }
+
+  // Days of the window without any row, so a gap in the schedule is visible before the run
+  const emptyDates = [];
+  if (window.startDate) {
+    for (let date = window.startDate; date <= window.endDate; date = addDays(date, 1)) {
+      if (!byDate.has(date)) emptyDates.push(date);
+    }
+  }
+
+  return {
+    window,
+    totalRows: rows.length,
+    totalRequested: rows.reduce((sum, row) => sum + (row.count || 0), 0),
+    dates: [...byDate.keys()].sort().map(date => ({ date, rows: byDate.get(date) })),
+    emptyDates
+  };
+}
+
+module.exports = {
+  APP_TIMEZONE,
+  MAX_RANGE_DAYS,
+  DateFilterError,
+  isValidTimezone,
+  isValidIsoDate,
+  getTodayInTimezone,
+  addDays,
+  getFilteredDate,
+  resolveDateWindow,
+  buildDateQuery,
+  describeWindowMatches
+};
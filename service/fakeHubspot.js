@@ -0,0 +1,426 @@
+require('dotenv').config();
+const fs = require('fs');
+const express = require('express');
+
+/*
+ * In-memory stand-in for the HubSpot endpoints this app uses, for offline end-to-end runs.
+ *
+ *   node service/fakeHubspot.js           (or: npm run fake-hubspot)
+ *   HUBSPOT_BASE_URL=http://localhost:4010 npm start
+ *
+ * Every HubSpot call, the email cloner included, goes through service/hubspotClient.js, so HUBSPOT_BASE_URL is the
+ * only setting to change; an absolute BASE_URL left in .env only contributes its path. npm run offline-run runs a
+ * whole campaign against this fake (see service/offlineRun.js).
+ *
+ * Environment:
+ *   FAKE_HUBSPOT_PORT            Port to listen on (default 4010)
+ *   FAKE_HUBSPOT_SEED            Path of a JSON seed file (see seedState), otherwise DEFAULT_SEED is loaded
+ *   FAKE_HUBSPOT_THROTTLE_EVERY  Answer every Nth request with a 429 to exercise retries (default 0 = never)
+ *
+ * State can be inspected and replaced at runtime through /__fake/state, /__fake/seed and /__fake/reset.
+ */
+
+const DEFAULT_PORT = 4010;
+const MEMBERSHIP_PAGE_MAX = 250; // HubSpot's largest memberships page
+const BATCH_MAX = 100; // HubSpot batch read/update limit
+
+const DEFAULT_SEED = {
+  contacts: 3000,
+  brands: ['Cadbury', 'Oreo', 'Milka'],
+  lists: [
+    { name: 'Fake Source A', contactRange: [1, 1500] },
+    { name: 'Fake Source B', contactRange: [1001, 2500] },
+    { name: 'Fake Source C', contactRange: [2001, 3000] }
+  ],
+  emails: [
+    { name: 'Fake Newsletter', emailCategory: 'Newsletter', mdlzBrand: 'Cadbury' }
+  ]
+};
+
+const rangeOf = ([from, to]) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+function createState() {
+  return {
+    contacts: new Map(), // contactId -> properties
+    lists: new Map(), // listId -> { listId, classicListId, name, processingType, objectTypeId, members: Set, createdAt }
+    emails: new Map(), // id -> email
+    brands: [],
+    nextListId: 1001,
+    nextClassicListId: 50001,
+    nextEmailId: 900001,
+    requestCount: 0
+  };
+}
+
+/**
+ * Load contacts, lists and emails into the state.
+ * Seed shape: { contacts: count | [ids], brands: [labels], lists: [{ name, processingType?, contactIds? | contactRange? }], emails: [{ name, ... }] }
+ * @param {Object} state - State from createState
+ * @param {Object} seed - Seed data
+ */
+function seedState(state, seed = {}) {
+  const contactIds = Array.isArray(seed.contacts) ? seed.contacts : rangeOf([1, seed.contacts || 0]);
+  contactIds.forEach(id => state.contacts.set(Number(id), state.contacts.get(Number(id)) || {}));
+
+  if (seed.brands) state.brands = seed.brands;
+
+  for (const list of seed.lists || []) {
+    const members = list.contactIds || (list.contactRange ? rangeOf(list.contactRange) : []);
+    const created = addList(state, list.name, list.processingType || 'MANUAL');
+    members.forEach(id => {
+      state.contacts.set(Number(id), state.contacts.get(Number(id)) || {});
+      created.members.add(Number(id));
+    });
+  }
+
+  for (const email of seed.emails || []) {
+    const id = String(state.nextEmailId++);
+    state.emails.set(id, {
+      state: 'DRAFT',
+      to: { contactLists: { include: [], exclude: [] } },
+      ...email,
+      id,
+      createdAt: new Date().toISOString()
+    });
+  }
+}
+
+function addList(state, name, processingType, objectTypeId = '0-1') {
+  const list = {
+    listId: String(state.nextListId++),
+    classicListId: String(state.nextClassicListId++),
+    name,
+    processingType,
+    objectTypeId,
+    members: new Set(),
+    createdAt: new Date().toISOString()
+  };
+  state.lists.set(list.listId, list);
+  return list;
+}
+
+// Shape of a list in HubSpot's v3 responses
+const toListResponse = (list) => ({
+  listId: list.listId,
+  name: list.name,
+  processingType: list.processingType,
+  objectTypeId: list.objectTypeId,
+  size: list.members.size,
+  createdAt: list.createdAt,
+  additionalProperties: {
+    hs_classic_list_id: list.classicListId,
+    hs_list_size: String(list.members.size)
+  }
+});
+
+const hubspotError = (res, status, message, category = 'VALIDATION_ERROR') =>
+  res.status(status).json({ status: 'error', message, category });
+
+/**
+ * Build the fake HubSpot express app
+ * @param {Object} [options] - { seed, throttleEvery }
+ * @returns {Object} - { app, state, reset(seed) }
+ */
+function createFakeHubspot(options = {}) {
+  const app = express();
+  let state = createState();
+  seedState(state, options.seed || DEFAULT_SEED);
+  const throttleEvery = options.throttleEvery || 0;
+
+  app.use(express.json({ limit: '10mb' }));
+
+  // Test hooks, registered before auth and throttling
+  app.get('/__fake/state', (req, res) => {
+    res.json({
+      contacts: state.contacts.size,
+      requestCount: state.requestCount,
+      lists: [...state.lists.values()].map(toListResponse),
+      emails: [...state.emails.values()],
+      contactProperties: req.query.contactIds
+        ? Object.fromEntries(String(req.query.contactIds).split(',').map(id => [id, state.contacts.get(Number(id)) || null]))
+        : undefined
+    });
+  });
+
+  app.post('/__fake/seed', (req, res) => {
+    seedState(state, req.body);
+    res.json({ success: true, contacts: state.contacts.size, lists: state.lists.size, emails: state.emails.size });
+  });
+
+  app.post('/__fake/reset', (req, res) => {
+    state = createState();
+    seedState(state, Object.keys(req.body || {}).length > 0 ? req.body : DEFAULT_SEED);
+    res.json({ success: true });
+  });
+
+  app.use((req, res, next) => {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return hubspotError(res, 401, 'Authentication credentials not found', 'INVALID_AUTHENTICATION');
+    }
+    state.requestCount++;
+    if (throttleEvery > 0 && state.requestCount % throttleEvery === 0) {
+      res.set('Retry-After', '1');
+      return hubspotError(res, 429, 'You have reached your secondly limit.', 'RATE_LIMITS');
+    }
+    next();
+  });
+
+  // ---- Lists ----
+
+  app.post('/crm/v3/lists', (req, res) => {
+    const { name, objectTypeId, processingType } = req.body || {};
+    if (!name || !processingType) {
+      return hubspotError(res, 400, 'name and processingType are required');
+    }
+    if ([...state.lists.values()].some(list => list.name === name)) {
+      return hubspotError(res, 400, `A list named '${name}' already exists`);
+    }
+    const list = addList(state, name, processingType, objectTypeId);
+    res.json({ list: toListResponse(list) });
+  });
+
+  app.post('/crm/v3/lists/search', (req, res) => {
+    const { listIds, query } = req.body || {};
+    let lists = [...state.lists.values()];
+    if (Array.isArray(listIds) && listIds.length > 0) {
+      lists = lists.filter(list => listIds.map(String).includes(list.listId));
+    }
+    if (query) {
+      lists = lists.filter(list => list.name.toLowerCase().includes(String(query).toLowerCase()));
+    }
+    res.json({ lists: lists.map(toListResponse), total: lists.length, hasMore: false, offset: lists.length });
+  });
+
+  app.get('/crm/v3/lists/:listId', (req, res) => {
+    const list = state.lists.get(req.params.listId);
+    if (!list) return hubspotError(res, 404, `List ${req.params.listId} not found`, 'OBJECT_NOT_FOUND');
+    res.json({ list: toListResponse(list) });
+  });
+
+  app.delete('/crm/v3/lists/:listId', (req, res) => {
+    if (!state.lists.delete(req.params.listId)) {
+      return hubspotError(res, 404, `List ${req.params.listId} not found`, 'OBJECT_NOT_FOUND');
+    }
+    res.status(204).end();
+  });
+
+  // ---- Memberships ----
+
+  app.get('/crm/v3/lists/:listId/memberships', (req, res) => {
+    const list = state.lists.get(req.params.listId);
+    if (!list) return hubspotError(res, 404, `List ${req.params.listId} not found`, 'OBJECT_NOT_FOUND');
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, MEMBERSHIP_PAGE_MAX);
+    const start = parseInt(req.query.after) || 0;
+    const members = [...list.members].sort((a, b) => a - b);
+    const page = members.slice(start, start + limit);
+    const next = start + limit < members.length ? String(start + limit) : null;
+
+    res.json({
+      results: page.map(recordId => ({ recordId: String(recordId) })),
+      ...(next ? { paging: { next: { after: next } } } : {})
+    });
+  });
+
+  const changeMembership = (adding) => (req, res) => {
+    const list = state.lists.get(req.params.listId);
+    if (!list) return hubspotError(res, 404, `List ${req.params.listId} not found`, 'OBJECT_NOT_FOUND');
+    if (list.processingType !== 'MANUAL') {
+      return hubspotError(res, 400, `List ${list.listId} is not a MANUAL list`);
+    }
+    if (!Array.isArray(req.body)) {
+      return hubspotError(res, 400, 'Expected an array of record IDs');
+    }
+
+    const changed = [];
+    const missing = [];
+    for (const recordId of req.body.map(Number)) {
+      if (!state.contacts.has(recordId)) {
+        missing.push(String(recordId));
+      } else if (adding && !list.members.has(recordId)) {
+        list.members.add(recordId);
+        changed.push(String(recordId));
+      } else if (!adding && list.members.delete(recordId)) {
+        changed.push(String(recordId));
+      }
+    }
+
+    res.json(adding
+      ? { recordIdsAdded: changed, recordIdsMissing: missing }
+      : { recordIdsRemoved: changed, recordIdsMissing: missing });
+  };
+
+  app.put('/crm/v3/lists/:listId/memberships/add', changeMembership(true));
+  app.put('/crm/v3/lists/:listId/memberships/remove', changeMembership(false));
+
+  // ---- Contacts ----
+
+  app.post('/crm/v3/objects/contacts/batch/read', (req, res) => {
+    const { inputs = [], properties = [] } = req.body || {};
+    if (inputs.length > BATCH_MAX) return hubspotError(res, 400, `Batch size is limited to ${BATCH_MAX}`);
+
+    const results = inputs
+      .filter(input => state.contacts.has(Number(input.id)))
+      .map(input => {
+        const stored = state.contacts.get(Number(input.id));
+        return {
+          id: String(input.id),
+          properties: Object.fromEntries(properties.map(name => [name, stored[name] === undefined ? null : stored[name]]))
+        };
+      });
+    res.json({ status: 'COMPLETE', results });
+  });
+
+  app.post('/crm/v3/objects/contacts/batch/update', (req, res) => {
+    const { inputs = [] } = req.body || {};
+    if (inputs.length > BATCH_MAX) return hubspotError(res, 400, `Batch size is limited to ${BATCH_MAX}`);
+
+    const results = [];
+    const missing = [];
+    for (const input of inputs) {
+      const contactId = Number(input.id);
+      if (!state.contacts.has(contactId)) {
+        missing.push(String(input.id));
+        continue;
+      }
+      // An empty string clears the property, as in HubSpot
+      const properties = { ...state.contacts.get(contactId) };
+      for (const [name, value] of Object.entries(input.properties || {})) {
+        if (value === '') delete properties[name];
+        else properties[name] = String(value);
+      }
+      state.contacts.set(contactId, properties);
+      results.push({ id: String(contactId), properties });
+    }
+
+    if (missing.length === 0) {
+      return res.json({ status: 'COMPLETE', results });
+    }
+    // 207 Multi-Status: the batch went through but some records were rejected
+    res.status(207).json({
+      status: 'COMPLETE',
+      results,
+      numErrors: 1,
+      errors: [{
+        status: 'error',
+        category: 'OBJECT_NOT_FOUND',
+        message: 'Could not get some CONTACT objects, they may be deleted or not exist.',
+        context: { ids: missing }
+      }]
+    });
+  });
+
+  app.get('/crm/v3/properties/contacts/last_marketing_email_sent_brand', (req, res) => {
+    res.json({
+      name: 'last_marketing_email_sent_brand',
+      type: 'enumeration',
+      options: state.brands.map((label, displayOrder) => ({ label, value: label, displayOrder, hidden: false }))
+    });
+  });
+
+  // ---- Marketing emails ----
+
+  app.get('/marketing/v3/emails', (req, res) => {
+    const limit = parseInt(req.query.limit) || 10;
+    const emails = [...state.emails.values()].filter(email => !req.query.name || email.name === req.query.name);
+    res.json({ total: emails.length, results: emails.slice(0, limit) });
+  });
+
+  app.post('/marketing/v3/emails/clone', (req, res) => {
+    const { id, cloneName } = req.body || {};
+    const original = state.emails.get(String(id));
+    if (!original) return hubspotError(res, 404, `Email ${id} not found`, 'OBJECT_NOT_FOUND');
+
+    const clone = {
+      ...JSON.parse(JSON.stringify(original)),
+      id: String(state.nextEmailId++),
+      name: cloneName || `${original.name} (clone)`,
+      state: 'DRAFT',
+      publishDate: undefined,
+      createdAt: new Date().toISOString()
+    };
+    state.emails.set(clone.id, clone);
+    res.json(clone);
+  });
+
+  app.get('/marketing/v3/emails/:emailId', (req, res) => {
+    const email = state.emails.get(req.params.emailId);
+    if (!email) return hubspotError(res, 404, `Email ${req.params.emailId} not found`, 'OBJECT_NOT_FOUND');
+    res.json(email);
+  });
+
+  const updateEmail = (req, res) => {
+    const email = state.emails.get(req.params.emailId);
+    if (!email) return hubspotError(res, 404, `Email ${req.params.emailId} not found`, 'OBJECT_NOT_FOUND');
+    Object.assign(email, req.body || {}, { id: email.id, updatedAt: new Date().toISOString() });
+    res.json(email);
+  };
+
+  app.patch('/marketing/v3/emails/:emailId', updateEmail);
+  app.patch('/marketing/v3/emails/:emailId/draft', updateEmail);
+
+  app.post('/marketing/v3/emails/:emailId/publish', (req, res) => {
+    const email = state.emails.get(req.params.emailId);
+    if (!email) return hubspotError(res, 404, `Email ${req.params.emailId} not found`, 'OBJECT_NOT_FOUND');
+    if (email.state !== 'DRAFT') {
+      return hubspotError(res, 400, `Email ${email.id} is ${email.state} and cannot be published again`);
+    }
+    const sendAt = req.body?.sendAt ? Number(req.body.sendAt) : null;
+    email.state = sendAt && sendAt > Date.now() ? 'SCHEDULED' : 'PUBLISHED';
+    email.publishDate = new Date(sendAt || Date.now()).toISOString();
+    res.status(204).end();
+  });
+
+  app.delete('/marketing/v3/emails/:emailId', (req, res) => {
+    if (!state.emails.delete(req.params.emailId)) {
+      return hubspotError(res, 404, `Email ${req.params.emailId} not found`, 'OBJECT_NOT_FOUND');
+    }
+    res.status(204).end();
+  });
+
+  app.use((req, res) => hubspotError(res, 404, `No fake handler for ${req.method} ${req.path}`, 'OBJECT_NOT_FOUND'));
+
+  return {
+    app,
+    get state() { return state; },
+    reset(seed = DEFAULT_SEED) {
+      state = createState();
+      seedState(state, seed);
+    }
+  };
+}
+
+/**
+ * Start the fake HubSpot server
+ * @param {Object} [options] - { port, seed, throttleEvery }
+ * @returns {Promise<Object>} - { server, fake, url }
+ */
+function startFakeHubspot(options = {}) {
+  const fake = createFakeHubspot(options);
+  return new Promise((resolve) => {
+    const server = fake.app.listen(options.port === undefined ? DEFAULT_PORT : options.port, () => {
+      const url = `http://localhost:${server.address().port}`;
+      resolve({ server, fake, url });
+    });
+  });
+}
+
+if (require.main === module) {
+  const seedPath = process.env.FAKE_HUBSPOT_SEED;
+  startFakeHubspot({
+    port: parseInt(process.env.FAKE_HUBSPOT_PORT) || DEFAULT_PORT,
+    seed: seedPath ? JSON.parse(fs.readFileSync(seedPath, 'utf8')) : DEFAULT_SEED,
+    throttleEvery: parseInt(process.env.FAKE_HUBSPOT_THROTTLE_EVERY) || 0
+  }).then(({ fake, url }) => {
+    const { lists, emails } = fake.state;
+    console.log(`[Fake HubSpot] Listening on ${url} - set HUBSPOT_BASE_URL=${url} to use it`);
+    lists.forEach(list => console.log(`[Fake HubSpot]   List ${list.listId} "${list.name}" (${list.members.size} contacts)`));
+    emails.forEach(email => console.log(`[Fake HubSpot]   Email ${email.id} "${email.name}"`));
+  });
+}
+
+module.exports = {
+  createFakeHubspot,
+  startFakeHubspot,
+  DEFAULT_SEED
+};
@@ -0,0 +1,158 @@
+require('dotenv').config();
+const { hubspot } = require('./hubspotClient');
+const { getBrandAssignmentsBetween } = require('./assignmentLedger');
+
+// Global defaults, used when a Segmentation row does not set its own (0 disables the rule)
+const DEFAULT_FREQUENCY_CAP_DAYS = parseInt(process.env.FREQUENCY_CAP_DAYS) || 0;
+const DEFAULT_BRAND_FREQUENCY_CAP_DAYS = parseInt(process.env.FREQUENCY_CAP_BRAND_DAYS) || 0;
+
+const BATCH_READ_SIZE = 100; // HubSpot batch read limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_HISTORY_PROPERTIES = ['recent_marketing_email_sent_date', 'last_marketing_email_sent_brand'];
+
+/**
+ * Resolve the frequency rules that apply to a Segmentation row
+ * @param {Object} config - Segmentation row
+ * @returns {Array<Object>} - Active rules ({ name, days, brand?, ledgerBrand? }); empty when capping is off
+ */
+function getFrequencyRules(config) {
+  const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+  const days = pick(config.frequencyCapDays, DEFAULT_FREQUENCY_CAP_DAYS);
+  const brandDays = pick(config.brandFrequencyCapDays, DEFAULT_BRAND_FREQUENCY_CAP_DAYS);
+
+  const rules = [];
+  if (days > 0) {
+    rules.push({ name: 'recentEmail', days });
+  }
+  // last_marketing_email_sent_brand only holds the brand of a contact's latest send, so a brand send followed by
+  // another brand's send is invisible in HubSpot. The brand rule also checks the assignment ledger, which records
+  // every send made by this app (within its retention window) under the Segmentation brand (ledgerBrand).
+  if (brandDays > 0 && config.lastMarketingEmailSentBrand) {
+    rules.push({ name: 'recentBrandEmail', days: brandDays, brand: config.lastMarketingEmailSentBrand, ledgerBrand: config.brand });
+  }
+  return rules;
+}
+
+// recent_marketing_email_sent_date comes back as epoch milliseconds or as an ISO date
+const parseSentDate = (value) => {
+  if (!value) return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Read the raw email history properties stamped by updateContactProperties
+ * @param {Array<number>} contactIds - Up to 100 contact IDs
+ * @returns {Promise<Map<number, Object>>} - contactId -> { recent_marketing_email_sent_date, last_marketing_email_sent_brand } (null when unset)
+ */
+async function readEmailProperties(contactIds) {
+  const response = await hubspot.post(
+    '/crm/v3/objects/contacts/batch/read',
+    {
+      properties: EMAIL_HISTORY_PROPERTIES,
+      inputs: contactIds.map(id => ({ id: id.toString() }))
+    }
+  );
+
+  const properties = new Map();
+  for (const contact of response.data.results || []) {
+    properties.set(Number(contact.id), Object.fromEntries(
+      EMAIL_HISTORY_PROPERTIES.map(name => [name, contact.properties?.[name] || null])
+    ));
+  }
+  return properties;
+}
+
+// Email history of up to 100 contacts, parsed for the frequency rules
+async function readEmailHistory(contactIds) {
+  const properties = await readEmailProperties(contactIds);
+
+  const history = new Map();
+  for (const [contactId, values] of properties) {
+    history.set(contactId, {
+      sentAt: parseSentDate(values.recent_marketing_email_sent_date),
+      brand: values.last_marketing_email_sent_brand
+    });
+  }
+  return history;
+}
+
+// Name of the first rule the contact breaks, or null if it may be emailed.
+// ledgerBrandSent: the ledger holds a send of the brand rule's brand within its window
+const findBrokenRule = (rules, history, sendTime, ledgerBrandSent) => {
+  for (const rule of rules) {
+    if (rule.brand && ledgerBrandSent) return rule.name;
+    if (!history || history.sentAt === null) continue;
+
+    const windowStart = sendTime - rule.days * DAY_MS;
+    if (history.sentAt <= windowStart) continue;
+    if (rule.brand && history.brand !== rule.brand) continue;
+    return rule.name;
+  }
+  return null;
+};
+
+/**
+ * Drop candidates emailed too recently, reading contacts in batches until `needed` candidates pass.
+ * Candidates after that point are never read, so the drop counts cover only the contacts inspected.
+ * @param {Array<number>} candidates - Contact IDs in selection order
+ * @param {number} needed - Number of contacts wanted
+ * @param {Array<Object>} rules - Rules from getFrequencyRules
+ * @param {string} sendDate - Send date in YYYY-MM-DD format; windows end on this date
+ * @param {Function} [claim] - Called synchronously for each contact passing the rules; a contact is only kept if it returns true
+ * @returns {Promise<Object>} - { kept, dropped } where dropped counts contacts per rule name
+ */
+async function applyFrequencyCaps(candidates, needed, rules, sendDate, claim = () => true) {
+  const dropped = Object.fromEntries(rules.map(rule => [rule.name, 0]));
+  if (rules.length === 0) {
+    const kept = [];
+    for (const contactId of candidates) {
+      if (kept.length >= needed) break;
+      if (claim(contactId)) kept.push(contactId);
+    }
+    return { kept, dropped };
+  }
+
+  const sendMidnight = new Date(sendDate);
+  sendMidnight.setUTCHours(0, 0, 0, 0);
+  const sendTime = sendMidnight.getTime();
+
+  const brandRule = rules.find(rule => rule.brand);
+  const brandWindowStart = brandRule && new Date(sendTime - brandRule.days * DAY_MS).toISOString().slice(0, 10);
+
+  const kept = [];
+  for (let i = 0; i < candidates.length && kept.length < needed; i += BATCH_READ_SIZE) {
+    const chunk = candidates.slice(i, i + BATCH_READ_SIZE);
+
+    let history;
+    let ledgerBrandSends = new Set();
+    try {
+      history = await readEmailHistory(chunk);
+      if (brandRule?.ledgerBrand) ledgerBrandSends = await getBrandAssignmentsBetween(chunk, brandRule.ledgerBrand, brandWindowStart, sendDate);
+    } catch (error) {
+      // Without their history these contacts cannot be checked, so they are left out
+      console.error(`❌ Failed to read email history for ${chunk.length} contacts:`, error.response?.data || error.message);
+      dropped.historyUnavailable = (dropped.historyUnavailable || 0) + chunk.length;
+      continue;
+    }
+
+    for (const contactId of chunk) {
+      if (kept.length >= needed) break;
+      const brokenRule = findBrokenRule(rules, history.get(contactId), sendTime, ledgerBrandSends.has(contactId));
+      if (brokenRule) {
+        dropped[brokenRule]++;
+      } else if (claim(contactId)) {
+        kept.push(contactId);
+      }
+    }
+  }
+
+  return { kept, dropped };
+}
+
+module.exports = {
+  getFrequencyRules,
+  applyFrequencyCaps,
+  readEmailProperties,
+  parseSentDate
+};
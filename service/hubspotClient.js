@@ -0,0 +1,193 @@
+require('dotenv').config();
+const axios = require('axios');
+
+// Config
+const HUBSPOT_BASE_URL = process.env.HUBSPOT_BASE_URL || 'https://api.hubapi.com'; // Point at service/fakeHubspot.js for offline runs
+const RATE_LIMIT_PER_SECOND = parseFloat(process.env.HUBSPOT_RATE_LIMIT_PER_SECOND) || 9; // HubSpot allows 100 requests / 10s per private app
+const RATE_LIMIT_BURST = parseInt(process.env.HUBSPOT_RATE_LIMIT_BURST) || 10;
+const MAX_RETRIES = parseInt(process.env.HUBSPOT_MAX_RETRIES) || 3;
+const REQUEST_TIMEOUT_MS = 30000;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Token bucket and counters per portal, shared by every client of that portal
+const buckets = new Map();
+const counters = new Map();
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function getBucket(portalId) {
+  if (!buckets.has(portalId)) {
+    buckets.set(portalId, {
+      tokens: RATE_LIMIT_BURST,
+      lastRefill: Date.now(),
+      blockedUntil: 0 // Set from Retry-After after a 429, holds back every caller of the portal
+    });
+  }
+  return buckets.get(portalId);
+}
+
+function getCounters(portalId) {
+  if (!counters.has(portalId)) {
+    counters.set(portalId, {
+      calls: 0,
+      retries: 0,
+      throttled: 0, // 429 responses
+      limiterWaits: 0, // Calls delayed by the token bucket
+      limiterWaitMs: 0,
+      errors: 0, // Calls that failed after all retries
+      since: new Date()
+    });
+  }
+  return counters.get(portalId);
+}
+
+/**
+ * Wait until the portal's token bucket allows another call
+ * @param {string} portalId - HubSpot portal the call is made against
+ * @returns {Promise<void>}
+ */
+async function acquireToken(portalId) {
+  const bucket = getBucket(portalId);
+  const stats = getCounters(portalId);
+  const startedAt = Date.now();
+
+  while (true) {
+    const now = Date.now();
+    if (bucket.blockedUntil > now) {
+      await sleep(bucket.blockedUntil - now);
+      continue;
+    }
+
+    bucket.tokens = Math.min(RATE_LIMIT_BURST, bucket.tokens + ((now - bucket.lastRefill) / 1000) * RATE_LIMIT_PER_SECOND);
+    bucket.lastRefill = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      break;
+    }
+
+    await sleep(Math.ceil(((1 - bucket.tokens) / RATE_LIMIT_PER_SECOND) * 1000));
+  }
+
+  const waited = Date.now() - startedAt;
+  if (waited > 0) {
+    stats.limiterWaits++;
+    stats.limiterWaitMs += waited;
+  }
+}
+
+// Retry-After is given in seconds by HubSpot
+const getRetryAfterMs = (error) => {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  return retryAfter > 0 ? retryAfter * 1000 : null;
+};
+
+/**
+ * Whether a failed call is worth retrying: 429, 5xx or no response (network error / timeout)
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const status = error.response?.status;
+  if (!status) return error.code !== 'ERR_CANCELED';
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Create a HubSpot API client. Calls go through the portal's token bucket and are retried with
+ * exponential backoff on 429 (honouring Retry-After), 5xx and network errors.
+ *
+ * Per-call options besides the usual axios config:
+ * - retry: true (default) | 'throttle' (retry 429 only, for calls that must not run twice such as creates) | false
+ *
+ * Responses and final errors carry `attempts`.
+ * @param {Object} [options] - { accessToken, portalId }
+ * @returns {Object} - { request, get, post, put, patch, delete, portalId }
+ */
+function createHubSpotClient(options = {}) {
+  const accessToken = options.accessToken || process.env.HUBSPOT_ACCESS_TOKEN;
+  const portalId = String(options.portalId || process.env.HUBSPOT_PORTAL_ID || 'default');
+  const stats = getCounters(portalId);
+
+  async function request(config) {
+    const { retry = true, ...axiosConfig } = config;
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      await acquireToken(portalId);
+      stats.calls++;
+
+      try {
+        const res = await axios.request({
+          baseURL: HUBSPOT_BASE_URL,
+          timeout: REQUEST_TIMEOUT_MS,
+          ...axiosConfig,
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+            ...axiosConfig.headers
+          }
+        });
+        res.attempts = attempt;
+        return res;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryAfterMs = getRetryAfterMs(error);
+
+        if (status === 429) {
+          stats.throttled++;
+          const bucket = getBucket(portalId);
+          bucket.tokens = 0;
+          bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + (retryAfterMs || RETRY_BASE_DELAY_MS));
+        }
+
+        const allowed = retry === true ? isRetryableError(error) : retry === 'throttle' && status === 429;
+        if (allowed && attempt <= MAX_RETRIES) {
+          stats.retries++;
+          const delay = retryAfterMs || Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), RETRY_MAX_DELAY_MS);
+          console.log(`[HubSpot] ${(axiosConfig.method || 'get').toUpperCase()} ${axiosConfig.url} returned ${status || error.code || 'no response'}, retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        stats.errors++;
+        error.attempts = attempt;
+        throw error;
+      }
+    }
+  }
+
+  return {
+    portalId,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    delete: (url, config = {}) => request({ ...config, method: 'delete', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+    patch: (url, data, config = {}) => request({ ...config, method: 'patch', url, data })
+  };
+}
+
+/**
+ * Counters of every portal used since the process started
+ * @returns {Object} - portalId -> { calls, retries, throttled, limiterWaits, limiterWaitMs, errors, since }, plus the limiter config
+ */
+function getHubSpotStats() {
+  return {
+    rateLimit: { perSecond: RATE_LIMIT_PER_SECOND, burst: RATE_LIMIT_BURST, maxRetries: MAX_RETRIES },
+    portals: Object.fromEntries([...counters].map(([portalId, stats]) => [portalId, { ...stats }]))
+  };
+}
+
+// Client for the portal configured in the environment
+const hubspot = createHubSpotClient();
+
+module.exports = {
+  HUBSPOT_BASE_URL,
+  hubspot,
+  createHubSpotClient,
+  getHubSpotStats,
+  isRetryableError
+};
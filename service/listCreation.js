@@ -0,0 +1,920 @@
+require('dotenv').config();
+const { hubspot } = require('./hubspotClient');
+const CreatedList = require('../models/list');
+const PropertyUpdateBatch = require('../models/propertyUpdateBatch');
+const {
+  getAssignedContacts,
+  recordAssignments,
+  releaseAssignments,
+  attachListToAssignments,
+  markAddedToSendList,
+  recordPreviousProperties
+} = require('./assignmentLedger');
+const { getFrequencyRules, applyFrequencyCaps, readEmailProperties } = require('./frequencyCap');
+const { getSamplingOptions, orderCandidates } = require('./sampling');
+const { getFilteredDate } = require('./dateFilters');
+const { buildListName } = require('./listNaming');
+
+// Config
+const RETRIEVAL_BATCH_SIZE = parseInt(process.env.HUBSPOT_RETRIEVAL_BATCH_SIZE) || 1000;
+const MAX_CLAIM_ATTEMPTS = 3; // Selections lost to another run claiming the same contacts before giving up
+
+// Thrown from a checkpoint callback to abandon the campaign in progress (run cancelled by a user)
+class RunCancelledError extends Error {
+  constructor(message = 'Run cancelled') {
+    super(message);
+    this.name = 'RunCancelledError';
+  }
+}
+
+const chunkArray = (arr, size) => {
+  const chunks = [];
+  for (let i = 0; i < arr.length; i += size) chunks.push(arr.slice(i, i + size));
+  return chunks;
+};
+
+const progressiveChunks = (arr, sizes = [300, 100, 50, 1]) => {
+  const result = [];
+  let index = 0;
+  for (const size of sizes) {
+    while (index < arr.length) {
+      const chunk = arr.slice(index, index + size);
+      if (!chunk.length) break;
+      result.push(chunk);
+      index += size;
+    }
+  }
+  return result;
+};
+
+// Legacy lists are NOT supported by v3 API - must be migrated to ILS
+const getContactsFromLegacyList = async (listId, maxCount = Infinity) => {
+  console.log(`❌ List ${listId} is a LEGACY list - v3 API does not support legacy lists`);
+  console.log(`📋 MIGRATION REQUIRED:`);
+  console.log(`   Option 1: Manually migrate in HubSpot UI (Contacts → Lists → Clone to ILS)`);
+  console.log(`   Option 2: Use migration API: POST /api/migrate-legacy-list { "legacyListId": "${listId}" }`);
+
+  throw new Error(
+    `List ${listId} is a legacy list. HubSpot v3 API only supports ILS (Integrated List Segmentation) lists. ` +
+    `Please migrate this list to ILS format. Migration options: ` +
+    `1) HubSpot UI: Contacts → Lists → Find list ${listId} → Actions → Clone as ILS list, OR ` +
+    `2) Use API: POST /api/migrate-legacy-list with body {"legacyListId": "${listId}", "newListName": "Your List Name"}`
+  );
+};
+
+/**
+ * Read a list's members page by page with the v3 `after` cursor, so a caller can stop as soon as it has enough.
+ * Members are returned once each, in HubSpot membership order.
+ * If a page fails after members were read in the same call, those members are returned and the error is kept
+ * in `error`; the next call throws it.
+ * @param {number} listId - ILS list ID
+ * @returns {Object} - { next(maxCount) -> Promise<Array<number>>, exhausted, pagesRead, error }
+ */
+const createMembershipReader = (listId) => {
+  const seen = new Set();
+  let after;
+
+  const reader = {
+    exhausted: false,
+    pagesRead: 0,
+    error: null,
+
+    async next(maxCount = Infinity) {
+      if (reader.error) throw reader.error;
+
+      const contacts = [];
+      while (!reader.exhausted && contacts.length < maxCount) {
+        let res;
+        try {
+          // Build params object for v3 API
+          const params = { limit: Math.min(RETRIEVAL_BATCH_SIZE, maxCount - contacts.length) };
+          if (after) {
+            params.after = after;
+          }
+
+          // Transient errors (429/5xx/timeouts) are retried by the client
+          res = await hubspot.get(`/crm/v3/lists/${listId}/memberships`, { params });
+        } catch (error) {
+          // If 404 error on first page, this is a legacy list
+          if (error.response?.status === 404 && reader.pagesRead === 0) {
+            reader.exhausted = true;
+            return getContactsFromLegacyList(listId, maxCount);
+          }
+
+          console.error(`❌ Failed to fetch contacts from list ${listId}`);
+          reader.error = new Error(`Unable to fetch contacts from list ${listId}: ${error.message}`);
+          if (contacts.length > 0) return contacts;
+          throw reader.error;
+        }
+
+        reader.pagesRead++;
+        for (const record of res.data.results || []) {
+          const vid = parseInt(record.recordId);
+          if (seen.has(vid)) continue;
+          seen.add(vid);
+          contacts.push(vid);
+        }
+
+        // v3 API uses paging with 'after' cursor
+        after = res.data.paging?.next?.after;
+        reader.exhausted = !after;
+      }
+
+      return contacts;
+    }
+  };
+
+  return reader;
+};
+
+// Members of a list, up to maxCount. A failure part way through returns the members read so far.
+const getContactsFromList = async (listId, maxCount = Infinity) => {
+  const reader = createMembershipReader(listId);
+  const contacts = await reader.next(maxCount);
+  if (reader.error) {
+    console.error(`⚠️ List ${listId}: returning the ${contacts.length} members read before the error`);
+  }
+  return contacts;
+};
+
+// Fetch legacy segment ID for a given ILS list using Search API
+const getLegacySegmentId = async (ilsListId) => {
+  try {
+    console.log(`  🔍 Fetching legacy segment ID for ILS list: ${ilsListId}`);
+
+    // Use Search API with hs_classic_list_id property (the ONLY reliable way to get legacy ID)
+    const searchResponse = await hubspot.post(
+      '/crm/v3/lists/search',
+      {
+        listIds: [String(ilsListId)],
+        additionalProperties: ["hs_classic_list_id"]
+      }
+    );
+
+    if (searchResponse.data &&
+        searchResponse.data.lists &&
+        searchResponse.data.lists.length > 0) {
+
+      const listData = searchResponse.data.lists[0];
+      const legacyId = listData.additionalProperties?.hs_classic_list_id;
+
+      if (legacyId) {
+        console.log(`  ✅ Found legacy segment ID: ${legacyId} (ILS ID: ${ilsListId})`);
+        return legacyId;
+      } else {
+        console.log(`  ⚠️ No hs_classic_list_id in response for ILS list ${ilsListId}`);
+        return null;
+      }
+    } else {
+      console.log(`  ⚠️ No lists found in search response for ILS list ${ilsListId}`);
+      return null;
+    }
+  } catch (error) {
+    console.error(`  ❌ Failed to fetch legacy segment ID for ILS list ${ilsListId}:`, error.message);
+    if (error.response?.data) {
+      console.error(`  Error details:`, error.response.data);
+    }
+    return null;
+  }
+};
+
+const createHubSpotList = async (name) => {
+  console.log(`📝 Creating list: ${name}`);
+  try {
+    const res = await hubspot.post(
+      '/crm/v3/lists',
+      {
+        name,
+        objectTypeId: '0-1', // 0-1 is for contact lists
+        processingType: 'MANUAL' // MANUAL allows adding/removing via API
+      },
+      { retry: 'throttle' } // A create that timed out may have gone through - never send it twice
+    );
+
+    // HubSpot v3 API nests the list data under 'list' property
+    const listData = res.data.list || res.data;
+
+    // Ensure listId exists in response
+    if (!listData.listId) {
+      throw new Error('List created but listId not returned from HubSpot API');
+    }
+
+    // Fetch the legacy segment ID after list creation
+    const legacyListId = await getLegacySegmentId(listData.listId);
+
+    // Add legacy ID to the returned data
+    return {
+      ...listData,
+      legacyListId
+    };
+  } catch (error) {
+    console.error(`❌ Failed to create list: ${name}`);
+    throw error;
+  }
+};
+
+const verifyListIsManual = async (listId) => {
+  try {
+    const res = await hubspot.get(`/crm/v3/lists/${listId}`);
+
+    // HubSpot v3 API may return data nested under 'list' property or at root level
+    const listData = res.data.list || res.data;
+
+    const processingType = listData.processingType || listData.processing_type;
+
+    if (!processingType || processingType !== 'MANUAL') {
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// beforeChunk (optional) is awaited before each membership chunk; it may wait (pause) or throw RunCancelledError.
+// afterChunk (optional) is awaited with the IDs HubSpot reports as newly added by each successful chunk.
+// Returns { successCount, failedChunks } where each failed chunk is { contactIds, error } (HubSpot's error message)
+const addContactsToList = async (listId, contacts, skipVerification = false, beforeChunk = null, afterChunk = null) => {
+  if (!contacts || contacts.length === 0) {
+    return { successCount: 0, failedChunks: [] };
+  }
+
+  // Verify list is MANUAL before attempting to add contacts (unless skipped)
+  if (!skipVerification) {
+    const isManual = await verifyListIsManual(listId);
+    if (!isManual) {
+      return { successCount: 0, failedChunks: [{ contactIds: contacts, error: `List ${listId} is not a MANUAL list` }] };
+    }
+  }
+
+  const chunks = progressiveChunks(contacts);
+  let successCount = 0;
+  let failedChunks = [];
+
+  for (const [index, chunk] of chunks.entries()) {
+    if (beforeChunk) await beforeChunk();
+
+    let res;
+    try {
+      // v3 API expects a direct array of string IDs (not wrapped in an object!); adds are idempotent so the client may retry
+      const stringIds = chunk.map(id => String(id));
+      res = await hubspot.put(`/crm/v3/lists/${listId}/memberships/add`, stringIds);
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      console.error(`❌ Failed to add chunk of ${chunk.length} contacts to list ${listId}: ${message}`);
+      failedChunks.push({ contactIds: chunk, error: message });
+      continue;
+    }
+
+    console.log(`✅ Added chunk of ${chunk.length} contacts to list ${listId}`);
+    successCount += chunk.length;
+    if (afterChunk) {
+      // Contacts already in the list are not part of recordIdsAdded
+      const addedIds = res.data?.recordIdsAdded ? res.data.recordIdsAdded.map(Number) : chunk;
+      await afterChunk(addedIds);
+    }
+  }
+
+  return { successCount, failedChunks };
+};
+
+// IDs named by a per-record error of a batch response (context.ids / context.id)
+const getErrorContactIds = (recordError) => {
+  const ids = recordError.context?.ids || recordError.context?.id || [];
+  return (Array.isArray(ids) ? ids : [ids]).map(Number).filter(Boolean);
+};
+
+/**
+ * Stamp recent_marketing_email_sent_date and last_marketing_email_sent_brand on contacts in batches of 100.
+ * The client retries each batch with backoff on 429/5xx. With a batchContext ({ runId, segmentationId, listId, campaign, retryOf })
+ * every batch result, including HubSpot's per-record errors, is stored as a PropertyUpdateBatch.
+ * Returns { updatedCount, failedIds }
+ */
+const updateContactProperties = async (contactIds, dateValue, brandValue, batchContext = null) => {
+  const epochMidnight = new Date(dateValue);
+  epochMidnight.setUTCHours(0, 0, 0, 0);
+  const epochTime = epochMidnight.getTime().toString();
+
+  const chunks = chunkArray(contactIds, 100);
+  console.log(`🕓 Updating properties for ${contactIds.length} contacts`);
+  let updatedCount = 0;
+  const failedIds = [];
+
+  for (const [batchIndex, chunk] of chunks.entries()) {
+    const payload = {
+      inputs: chunk.map(contactId => ({
+        id: contactId.toString(),
+        properties: {
+          recent_marketing_email_sent_date: epochTime,
+          last_marketing_email_sent_brand: brandValue
+        }
+      }))
+    };
+
+    let attempts;
+    let httpStatus;
+    let recordErrors = [];
+    let chunkFailedIds = [];
+
+    try {
+      const res = await hubspot.post('/crm/v3/objects/contacts/batch/update', payload);
+      attempts = res.attempts;
+      httpStatus = res.status;
+
+      // 207 Multi-Status: the batch went through but some records were rejected
+      recordErrors = (res.data?.errors || []).map(recordError => ({
+        status: recordError.status,
+        category: recordError.category,
+        message: recordError.message,
+        contactIds: getErrorContactIds(recordError)
+      }));
+      const rejected = new Set(recordErrors.flatMap(recordError => recordError.contactIds));
+      chunkFailedIds = chunk.filter(contactId => rejected.has(contactId));
+    } catch (err) {
+      attempts = err.attempts;
+      httpStatus = err.response?.status;
+      recordErrors = [{
+        status: String(httpStatus || err.code || 'error'),
+        category: err.response?.data?.category,
+        message: err.response?.data?.message || err.message
+      }];
+      chunkFailedIds = chunk;
+    }
+
+    const chunkUpdated = chunk.length - chunkFailedIds.length;
+    updatedCount += chunkUpdated;
+    failedIds.push(...chunkFailedIds);
+
+    if (chunkFailedIds.length === 0) {
+      console.log(`✅ Updated batch of ${chunk.length} contacts`);
+    } else {
+      console.error(`❌ Failed batch update: ${chunkFailedIds.length} of ${chunk.length} contacts not updated (${recordErrors[0]?.message})`);
+    }
+
+    if (batchContext) {
+      try {
+        await PropertyUpdateBatch.create({
+          ...batchContext,
+          batchIndex,
+          dateValue,
+          brandValue,
+          contactIds: chunk,
+          status: chunkFailedIds.length === 0 ? 'succeeded' : chunkUpdated > 0 ? 'partial' : 'failed',
+          httpStatus,
+          attempts,
+          updatedCount: chunkUpdated,
+          failedContactIds: chunkFailedIds,
+          recordErrors
+        });
+      } catch (ledgerError) {
+        console.error(`❌ Failed to record property update batch:`, ledgerError.message);
+      }
+    }
+  }
+
+  return { updatedCount, failedIds };
+};
+
+// Read the email history properties of the selected contacts and keep them in the ledger before they are overwritten
+const savePreviousProperties = async (ledgerKey, contactIds) => {
+  for (const chunk of chunkArray(contactIds, 100)) {
+    await recordPreviousProperties(ledgerKey, await readEmailProperties(chunk));
+  }
+};
+
+// Most contacts a source may contribute: its maxCount and/or maxPercent of the requested count (no cap if neither is set)
+const getSourceCap = (source, count) => {
+  const caps = [];
+  if (source.maxCount > 0) caps.push(source.maxCount);
+  if (source.maxPercent > 0) caps.push(Math.floor(count * source.maxPercent / 100));
+  return caps.length > 0 ? Math.min(...caps) : count;
+};
+
+// How many members to read at a time from a source that still has to supply `needed` contacts: extra to absorb
+// filtering (at least 3x or 500) in first-N mode, the whole list in the other sampling modes
+const getSourceFetchCount = (sampling, needed) => sampling.mode === 'first' ? Math.max(needed * 3, 500) : Infinity;
+
+// Read a source list through the run's membership cache when there is one
+const openSourceReader = (membershipCache, listId) => (
+  membershipCache ? membershipCache.createReader(listId) : createMembershipReader(listId)
+);
+
+// Walk the Segmentation's source lists in order, picking up to `count` contacts that are not in usedContactsSet
+// (taken by the run for the same send date), not planned for another campaign of the run (reservedContacts, from the allocation plan)
+// and not already assigned to another send on the same date (assignedContacts, from the ledger),
+// then drop contacts emailed too recently (frequency rules). Candidates are taken in the order of the
+// Segmentation's sampling mode; non first-N modes read the whole source list so audiences rotate across it.
+// First-N keeps paging through a source until it has supplied its share or has no members left, and each source
+// records which happened (endReason: filled, exhausted or error).
+const selectContacts = async (config, usedContactsSet, options = {}) => {
+  const { assignedContacts = new Set(), suppressedContacts = new Set(), reservedContacts = new Set(), membershipCache } = options;
+  const { campaign, count, date } = config;
+  const sources = config.sources || [];
+  const frequencyRules = getFrequencyRules(config);
+  const sampling = getSamplingOptions(config);
+
+  const selectedContacts = [];
+  const selectedSet = new Set();
+  const sourceResults = [];
+  const fetchErrors = [];
+  let alreadyAssignedCount = 0;
+  let suppressedCount = 0;
+  const frequencyCapDrops = {};
+
+  // Contacts are claimed in usedContactsSet the moment they are kept, with no await between the check and the claim,
+  // so campaigns selecting in parallel from the same run never take the same contact
+  let claimConflicts = 0;
+  const claim = (vid) => {
+    if (usedContactsSet.has(vid)) {
+      claimConflicts++;
+      return false;
+    }
+    usedContactsSet.add(vid);
+    return true;
+  };
+
+  const capContacts = async (candidates, needed) => {
+    const { kept, dropped } = await applyFrequencyCaps(candidates, needed, frequencyRules, date, claim);
+    for (const [rule, dropCount] of Object.entries(dropped)) {
+      frequencyCapDrops[rule] = (frequencyCapDrops[rule] || 0) + dropCount;
+    }
+    return kept;
+  };
+
+  // Suppressed contacts are counted on their own, not as filtered
+  const isSuppressed = (vid) => {
+    if (!suppressedContacts.has(vid)) return false;
+    suppressedCount++;
+    return true;
+  };
+
+  const isEligible = (vid) => {
+    // Contacts also present in an earlier source are already part of the selection
+    if (selectedSet.has(vid) || usedContactsSet.has(vid) || reservedContacts.has(vid)) return false;
+    if (assignedContacts.has(vid)) {
+      alreadyAssignedCount++;
+      return false;
+    }
+    return true;
+  };
+
+  for (const [index, source] of sources.entries()) {
+    if (selectedContacts.length >= count) break;
+
+    const cap = getSourceCap(source, count);
+    const needed = Math.min(count - selectedContacts.length, cap);
+    const result = { listId: source.listId, cap, availableCount: 0, suppressedCount: 0, filteredCount: 0, selectedCount: 0 };
+    sourceResults.push(result);
+
+    if (needed <= 0) {
+      // A source capped at zero has supplied its share
+      result.endReason = 'filled';
+      continue;
+    }
+
+    const reader = openSourceReader(membershipCache, source.listId);
+    let reads = 0;
+    try {
+      while (result.selectedCount < needed && !reader.exhausted) {
+        const contacts = await reader.next(getSourceFetchCount(sampling, needed - result.selectedCount));
+        reads++;
+        result.availableCount += contacts.length;
+
+        const suppressedBefore = suppressedCount;
+        const unsuppressed = contacts.filter(vid => !isSuppressed(vid));
+        result.suppressedCount += suppressedCount - suppressedBefore;
+
+        // Filter out used, reserved and already assigned contacts
+        const eligible = unsuppressed.filter(isEligible);
+        result.filteredCount += unsuppressed.length - eligible.length;
+
+        const conflictsBefore = claimConflicts;
+        const picked = await capContacts(await orderCandidates(eligible, sampling), needed - result.selectedCount);
+        // Claimed by a parallel campaign while this one was ordering or checking them
+        result.filteredCount += claimConflicts - conflictsBefore;
+        picked.forEach(vid => {
+          selectedContacts.push(vid);
+          selectedSet.add(vid);
+        });
+        result.selectedCount += picked.length;
+      }
+      result.endReason = result.selectedCount >= needed ? 'filled' : 'exhausted';
+    } catch (error) {
+      console.error(`❌ Error fetching contacts from source ${index + 1} (list ${source.listId}) for campaign ${campaign}`);
+      result.error = error.message;
+      result.endReason = 'error';
+      fetchErrors.push(`List ${source.listId}: ${error.message}`);
+      // Continue with the next source
+    }
+
+    console.log(`📥 Source ${index + 1} (list ${source.listId}): ${result.availableCount} available | ${result.suppressedCount} suppressed | ${result.filteredCount} filtered | ${result.selectedCount} selected${cap < count ? ` (cap ${cap})` : ''} | ${result.endReason}${reads > 1 ? ` after ${reads} reads` : ''}`);
+  }
+
+  const fulfillmentPercentage = count > 0 ? Math.round((selectedContacts.length / count) * 100) : 0;
+
+  if (sources.length === 0) {
+    console.log(`⚠️ Campaign ${campaign} has no source lists`);
+  }
+  if (suppressedCount > 0) {
+    console.log(`🚫 ${suppressedCount} contacts skipped - on a suppression list`);
+  }
+  if (alreadyAssignedCount > 0) {
+    console.log(`📒 ${alreadyAssignedCount} contacts skipped - already assigned to another send on ${config.date}`);
+  }
+  const frequencyCappedCount = Object.values(frequencyCapDrops).reduce((sum, n) => sum + n, 0);
+  if (frequencyCappedCount > 0) {
+    const byRule = Object.entries(frequencyCapDrops).map(([rule, n]) => `${rule}: ${n}`).join(', ');
+    console.log(`⏳ ${frequencyCappedCount} contacts skipped by frequency rules (${byRule})`);
+  }
+  if (sampling.mode !== 'first') {
+    console.log(`🎲 Sampling: ${sampling.mode} | Seed: ${sampling.seed}`);
+  }
+  // Why the selection stopped: the count was met, a source failed to read, every source stopped at its cap
+  // (a filled source that did not meet the count was capped), or sources ran out of eligible members
+  const allCapped = sourceResults.length > 0 && sourceResults.every(result => result.endReason === 'filled');
+  const fetchOutcome = selectedContacts.length >= count ? 'count_met'
+    : fetchErrors.length > 0 ? 'fetch_error'
+      : allCapped ? 'capped' : 'sources_exhausted';
+  console.log(`✂️ Final Selection: ${selectedContacts.length} of ${count} requested (${fulfillmentPercentage}%)${fetchOutcome === 'count_met' ? '' : ` - ${fetchOutcome.replace('_', ' ')}`}`);
+
+  // Contacts were appended source by source, so each source's share is a consecutive slice
+  let offset = 0;
+  const selectedBySource = sourceResults.map(result => {
+    const contactIds = selectedContacts.slice(offset, offset + result.selectedCount);
+    offset += result.selectedCount;
+    return { listId: result.listId, contactIds };
+  });
+
+  return {
+    selectedContacts,
+    selectedBySource,
+    sources: sourceResults,
+    availableCount: sourceResults.reduce((sum, r) => sum + r.availableCount, 0),
+    filteredCount: sourceResults.reduce((sum, r) => sum + r.filteredCount, 0),
+    suppressedCount,
+    alreadyAssignedCount,
+    frequencyCappedCount,
+    frequencyCapDrops,
+    samplingMode: sampling.mode,
+    samplingSeed: sampling.seed,
+    fulfillmentPercentage,
+    fetchOutcome,
+    fetchError: fetchErrors.length > 0 ? fetchErrors.join('; ') : null
+  };
+};
+
+/**
+ * Run the selection for one Segmentation row without writing anything to HubSpot or MongoDB.
+ * Selected contacts are still added to usedContactsSet so later previews see the cross-campaign dedupe.
+ */
+const previewSingleCampaign = async (config, usedContactsSet, options = {}) => {
+  const { brand, campaign, count, sendContactListId, date } = config;
+
+  console.log(`🔎 Previewing campaign: ${campaign} | Brand: ${brand}`);
+
+  const assignedContacts = (config.allowOverlap || options.allowOverlap) ? new Set() : await getAssignedContacts(date);
+  const selection = await selectContacts(config, usedContactsSet, {
+    assignedContacts,
+    suppressedContacts: options.suppressedContacts,
+    reservedContacts: options.reservedContacts,
+    membershipCache: options.membershipCache
+  });
+
+  return {
+    segmentationId: config._id,
+    campaign,
+    brand,
+    listName: await buildListName(config),
+    sendContactListId,
+    sources: selection.sources,
+    requestedCount: count,
+    availableCount: selection.availableCount,
+    filteredCount: selection.filteredCount,
+    suppressedCount: selection.suppressedCount,
+    alreadyAssignedCount: selection.alreadyAssignedCount,
+    frequencyCappedCount: selection.frequencyCappedCount,
+    frequencyCapDrops: selection.frequencyCapDrops,
+    samplingMode: selection.samplingMode,
+    samplingSeed: selection.samplingSeed,
+    selectedCount: selection.selectedContacts.length,
+    fulfillmentPercentage: selection.fulfillmentPercentage,
+    fetchOutcome: selection.fetchOutcome,
+    error: selection.fetchError || undefined
+  };
+};
+
+/**
+ * Select contacts for one Segmentation row, create its HubSpot list and apply the selection.
+ * The selection is claimed in the assignment ledger so no later or concurrent run picks the same contacts for this send
+ * date; a selection that lost contacts to a concurrent run is made again.
+ * @param {Object} [options]
+ * @param {string} [options.runId] - OperationStatus id of the run, stored with the ledger entries
+ * @param {boolean} [options.allowOverlap] - Ignore the ledger for this run (intentional overlap)
+ * @param {Object} [options.suppressedContacts] - Set-like of contacts that must not be selected (see service/suppression.js)
+ * @param {Object} [options.reservedContacts] - Set-like of contacts the allocation plan gave to other campaigns of the run
+ * @param {Object} [options.membershipCache] - Run's list membership cache (see service/membershipCache.js)
+ * @param {Object} [options.resumeState] - Checkpoint of an interrupted attempt ({ contactIds, listId, legacyListId, ... });
+ *   its selection and list are reused instead of selecting again
+ * @param {Function} [options.onSelected] - Awaited with the selection before anything is written to HubSpot
+ * @param {Function} [options.onListCreated] - Awaited with the created list and its name before contacts are added
+ * @param {Function} [options.onProgress] - Awaited with the name of each later step ('adding_contacts', 'updating_properties')
+ * @param {Function} [options.checkpoint] - Awaited between membership chunks; may wait (pause) or throw RunCancelledError
+ */
+const processSingleCampaign = async (config, daysFilter, modeFilter, usedContactsSet, options = {}) => {
+  const { brand, campaign, count, domain, date, sendContactListId, lastMarketingEmailSentBrand } = config;
+  const { runId, resumeState, onSelected, onListCreated, onProgress, checkpoint } = options;
+  const ledgerKey = { runId, segmentationId: config._id };
+
+  console.log(`🚀 Starting campaign: ${campaign} | Brand: ${brand} | Domain: ${domain}`);
+
+  let selection;
+  if (resumeState) {
+    // Reuse the checkpointed selection so contacts assigned before the interruption are not re-picked
+    selection = {
+      selectedContacts: resumeState.contactIds || [],
+      availableCount: resumeState.availableCount || 0,
+      filteredCount: resumeState.filteredCount || 0,
+      suppressedCount: resumeState.suppressedCount || 0,
+      fulfillmentPercentage: resumeState.fulfillmentPercentage || 0,
+      fetchOutcome: resumeState.fetchOutcome
+    };
+    selection.selectedContacts.forEach(vid => usedContactsSet.add(vid));
+    console.log(`♻️ Resuming with ${selection.selectedContacts.length} previously selected contacts`);
+  } else {
+    // Drop entries left by an attempt interrupted before its checkpoint, so they do not block this selection
+    await releaseAssignments(ledgerKey);
+
+    const allowOverlap = config.allowOverlap || options.allowOverlap;
+    for (let attempt = 1; ; attempt++) {
+      const assignedContacts = allowOverlap ? new Set() : await getAssignedContacts(date);
+      selection = await selectContacts(config, usedContactsSet, {
+        assignedContacts,
+        suppressedContacts: options.suppressedContacts,
+        reservedContacts: options.reservedContacts,
+        membershipCache: options.membershipCache
+      });
+
+      const { takenContactIds } = await recordAssignments(selection.selectedBySource, {
+        ...ledgerKey,
+        sendDate: date,
+        campaign,
+        brand,
+        mode: modeFilter,
+        allowOverlap: Boolean(allowOverlap)
+      });
+      if (takenContactIds.length === 0) break;
+
+      // Another run claimed some of these contacts for the same date after the ledger was read: free this claim and select again
+      await releaseAssignments(ledgerKey);
+      selection.selectedContacts.forEach(vid => usedContactsSet.delete(vid));
+      if (attempt >= MAX_CLAIM_ATTEMPTS) {
+        throw new Error(`${takenContactIds.length} selected contacts were claimed by another run for ${date} on each of ${MAX_CLAIM_ATTEMPTS} attempts`);
+      }
+      console.warn(`⚠️ ${takenContactIds.length} selected contacts were claimed by another run for ${date}, selecting again`);
+    }
+  }
+
+  if (onSelected) await onSelected(selection);
+
+  const { selectedContacts, availableCount, filteredCount, suppressedCount, fulfillmentPercentage, fetchOutcome } = selection;
+  const listName = resumeState?.listName || await buildListName(config, { modeFilter });
+
+  // Always create the list even if empty (for tracking purposes)
+  const newList = resumeState?.listId
+    ? { listId: resumeState.listId, legacyListId: resumeState.legacyListId }
+    : await createHubSpotList(listName);
+
+  await attachListToAssignments(ledgerKey, newList.listId);
+  if (onListCreated) await onListCreated(newList, listName);
+
+  let actualContactsAdded = 0;
+  // What did not get applied; a rollback can undo the rest (see service/rollback.js)
+  const failures = [];
+  let propertyUpdates = null;
+  // Failed membership chunks of both lists, kept on the CreatedList record for a targeted retry
+  const failedMemberships = [];
+  const trackFailedChunks = (listId, failedChunks) => {
+    failedChunks.forEach(({ contactIds, error }) => failedMemberships.push({ listId, contactIds, error, failedAt: new Date() }));
+    return failedChunks.reduce((sum, chunk) => sum + chunk.contactIds.length, 0);
+  };
+
+  if (selectedContacts.length > 0) {
+    try {
+      if (onProgress) await onProgress('adding_contacts');
+
+      // Add to send contact list if specified (skip verification to bypass API parsing issue)
+      if (sendContactListId) {
+        const sendResult = await addContactsToList(sendContactListId, selectedContacts, true, checkpoint,
+          addedIds => markAddedToSendList(ledgerKey, addedIds));
+        const failedCount = trackFailedChunks(sendContactListId, sendResult.failedChunks);
+        if (failedCount > 0) failures.push(`${failedCount} contacts not added to send list ${sendContactListId}`);
+      }
+
+      // Add to the newly created list (skip verification - we know it's MANUAL since we just created it)
+      const listResult = await addContactsToList(newList.listId, selectedContacts, true, checkpoint);
+      actualContactsAdded = listResult.successCount;
+      trackFailedChunks(newList.listId, listResult.failedChunks);
+      if (actualContactsAdded < selectedContacts.length) {
+        failures.push(`${selectedContacts.length - actualContactsAdded} contacts not added to list ${newList.listId}`);
+      }
+
+      // Update contact properties
+      if (checkpoint) await checkpoint();
+      if (onProgress) await onProgress('updating_properties');
+      await savePreviousProperties(ledgerKey, selectedContacts);
+      if (resumeState) {
+        // Batches of the interrupted attempt are replaced by the ones below
+        await PropertyUpdateBatch.updateMany(
+          { runId, segmentationId: config._id, supersededAt: { $exists: false } },
+          { $set: { supersededAt: new Date() } }
+        );
+      }
+      const propertyResult = await updateContactProperties(selectedContacts, date, lastMarketingEmailSentBrand, {
+        runId,
+        segmentationId: config._id,
+        listId: newList.listId,
+        campaign
+      });
+      propertyUpdates = { updatedCount: propertyResult.updatedCount, failedCount: propertyResult.failedIds.length };
+      if (propertyResult.failedIds.length > 0) {
+        failures.push(`${propertyResult.failedIds.length} contacts not stamped with send date and brand`);
+      }
+    } catch (error) {
+      if (error instanceof RunCancelledError) throw error;
+      console.error(`❌ Error adding contacts for ${campaign}`);
+      failures.push(error.message);
+      // Continue even if there's an error adding contacts
+    }
+  }
+
+  console.log(`✅ List created: ${listName} | ILS ID: ${newList.listId} | Legacy ID: ${newList.legacyListId || 'N/A'}`);
+
+  // A resumed attempt may have been interrupted after its record was written
+  const existingRecord = resumeState?.listId ? await CreatedList.findOne({ listId: newList.listId }) : null;
+
+  const listRecord = {
+    name: listName,
+    listId: newList.listId,
+    legacyListId: newList.legacyListId, // Store legacy segment ID
+    segmentationId: config._id,
+    runId,
+    sendContactListId,
+    failedMemberships,
+    filterCriteria: { days: daysFilter, mode: modeFilter },
+    campaignDetails: { brand, campaign, date },
+    contactCount: actualContactsAdded, // Use actual count, not selectedContacts.length
+    requestedCount: count,
+    availableCount,
+    filteredCount,
+    suppressedCount,
+    fulfillmentPercentage,
+    fetchOutcome
+  };
+
+  let createdList;
+  if (existingRecord) {
+    existingRecord.set(listRecord);
+    createdList = await existingRecord.save();
+  } else {
+    createdList = await CreatedList.create({ ...listRecord, createdDate: new Date(), deleted: newList.deleted });
+  }
+
+  return {
+    success: true,
+    listName,
+    listId: newList.listId,
+    legacyListId: newList.legacyListId, // Include in return value
+    contactCount: actualContactsAdded, // Use actual count, not selectedContacts.length
+    requestedCount: count,
+    availableCount,
+    filteredCount,
+    suppressedCount,
+    fulfillmentPercentage,
+    fetchOutcome,
+    partialFailure: failures.length > 0 ? failures.join('; ') : null,
+    failedMemberships,
+    propertyUpdates,
+    createdList
+  };
+};
+
+/**
+ * Re-stamp only the contacts whose property update failed in a run. Each retried batch is recorded
+ * as a new PropertyUpdateBatch (retryOf) and the original is marked superseded.
+ * @param {string} runId - OperationStatus id of the run
+ * @returns {Promise<Object>} - { batchCount, retriedCount, updatedCount, failedCount }
+ */
+const restampFailedContacts = async (runId) => {
+  const batches = await PropertyUpdateBatch.find({
+    runId,
+    supersededAt: { $exists: false },
+    'failedContactIds.0': { $exists: true }
+  }).sort({ createdAt: 1 });
+
+  let retriedCount = 0;
+  let updatedCount = 0;
+  let failedCount = 0;
+
+  for (const batch of batches) {
+    console.log(`🔁 Re-stamping ${batch.failedContactIds.length} contacts of ${batch.campaign || 'campaign'} (batch ${batch.batchIndex})`);
+
+    const result = await updateContactProperties(batch.failedContactIds, batch.dateValue, batch.brandValue, {
+      runId: batch.runId,
+      segmentationId: batch.segmentationId,
+      listId: batch.listId,
+      campaign: batch.campaign,
+      retryOf: batch._id
+    });
+
+    batch.supersededAt = new Date();
+    await batch.save();
+
+    retriedCount += batch.failedContactIds.length;
+    updatedCount += result.updatedCount;
+    failedCount += result.failedIds.length;
+  }
+
+  console.log(`🔁 Re-stamp for run ${runId}: ${updatedCount} of ${retriedCount} contacts updated | ${failedCount} still failing`);
+
+  return { batchCount: batches.length, retriedCount, updatedCount, failedCount };
+};
+
+/**
+ * Summarize the property update batches of a run
+ * @param {string} runId - OperationStatus id of the run
+ * @returns {Promise<Object>} - Totals of the current (not superseded) batches and every batch result
+ */
+const getPropertyUpdateBatches = async (runId) => {
+  const batches = await PropertyUpdateBatch.find({ runId }).sort({ createdAt: 1 }).select('-contactIds').lean();
+  const current = batches.filter(batch => !batch.supersededAt);
+
+  return {
+    totals: {
+      batches: current.length,
+      updated: current.reduce((sum, batch) => sum + batch.updatedCount, 0),
+      failed: current.reduce((sum, batch) => sum + batch.failedContactIds.length, 0)
+    },
+    batches
+  };
+};
+
+/**
+ * Re-attempt the membership adds that failed for a created list, against the created list and the send contacts list
+ * @param {number} listId - Created ILS list ID
+ * @returns {Promise<Object|null>} - { retriedCount, addedCount, failedCount, failedMemberships }, or null if the list is unknown
+ */
+const retryFailedMemberships = async (listId) => {
+  const createdList = await CreatedList.findOne({ listId });
+  if (!createdList) return null;
+
+  const pending = createdList.failedMemberships || [];
+  const remaining = [];
+  let retriedCount = 0;
+  let addedCount = 0;
+
+  for (const failed of pending) {
+    retriedCount += failed.contactIds.length;
+    console.log(`🔁 Retrying ${failed.contactIds.length} contacts for list ${failed.listId}`);
+
+    // Newly added send list members are flagged in the ledger so a rollback can remove them
+    const afterChunk = failed.listId === createdList.sendContactListId
+      ? addedIds => markAddedToSendList({ listId }, addedIds)
+      : null;
+    const result = await addContactsToList(failed.listId, failed.contactIds, true, null, afterChunk);
+
+    addedCount += result.successCount;
+    if (failed.listId === createdList.listId) {
+      createdList.contactCount = (createdList.contactCount || 0) + result.successCount;
+    }
+    result.failedChunks.forEach(({ contactIds, error }) => {
+      remaining.push({ listId: failed.listId, contactIds, error, failedAt: new Date(), attempts: (failed.attempts || 1) + 1 });
+    });
+  }
+
+  createdList.failedMemberships = remaining;
+  await createdList.save();
+
+  const failedCount = remaining.reduce((sum, failed) => sum + failed.contactIds.length, 0);
+  console.log(`🔁 Retry for list ${listId}: ${addedCount} of ${retriedCount} contacts added | ${failedCount} still failing`);
+
+  return { retriedCount, addedCount, failedCount, failedMemberships: remaining };
+};
+
+module.exports = {
+  getFilteredDate,
+  getContactsFromList,
+  createMembershipReader,
+  getSourceCap,
+  getSourceFetchCount,
+  getLegacySegmentId,
+  createHubSpotList,
+  addContactsToList,
+  updateContactProperties,
+  processSingleCampaign,
+  previewSingleCampaign,
+  retryFailedMemberships,
+  restampFailedContacts,
+  getPropertyUpdateBatches,
+  RunCancelledError
+};
@@ -0,0 +1,174 @@
+const NamingTemplate = require('../models/namingTemplate');
+const CreatedList = require('../models/list');
+
+const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Send date as it is read back from list names, with or without a zero padded day; every template must produce a match.
+// Email names are matched by the cloner's own pattern (routes/cloner.js)
+const LIST_NAME_DATE_PATTERN = /\b(\d{1,2}) (\w{3}) (\d{4})/;
+
+// Same as list names before templates existed, e.g. "5 Jan 2025"
+const DEFAULT_DATE_FORMAT = 'D MMM YYYY';
+const DEFAULT_LIST_NAME_TEMPLATE = process.env.LIST_NAME_TEMPLATE || '{brand} - {campaign} - {domain} - {date}';
+
+// {date} takes an optional format, e.g. {date:YYYY-MM-DD}; tokens are YYYY, MMM, MM, DD and D
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::([^}]*))?\}/g;
+const PLACEHOLDERS = {
+  brand: 'Segmentation brand',
+  campaign: 'Campaign name',
+  domain: 'Tier',
+  date: `Send date, {date:FORMAT} for another format (default ${DEFAULT_DATE_FORMAT})`,
+  mode: 'Campaign mode (BAU, re-engagement, ...)',
+  run: 'How many times this row has had a list created, including this one (1, 2, ...)'
+};
+
+// Placeholders a template needs so two rows never share a name; a brand template does not need {brand}
+const UNIQUE_PLACEHOLDERS = ['campaign', 'domain', 'date'];
+
+// Thrown for a template that fails validation; the message is safe to show to the user
+class NamingTemplateError extends Error {
+  constructor(message, template) {
+    super(message);
+    this.name = 'NamingTemplateError';
+    this.template = template;
+  }
+}
+
+/**
+ * Format a YYYY-MM-DD send date
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {string} [format] - Tokens YYYY, MMM, MM, DD, D
+ * @returns {string}
+ */
+function formatSendDate(isoDate, format = DEFAULT_DATE_FORMAT) {
+  const [year, month, day] = String(isoDate).slice(0, 10).split('-').map(Number);
+  const tokens = {
+    YYYY: String(year),
+    MMM: monthNames[month - 1],
+    MM: String(month).padStart(2, '0'),
+    DD: String(day).padStart(2, '0'),
+    D: String(day)
+  };
+  return format.replace(/YYYY|MMM|MM|DD|D/g, token => tokens[token]);
+}
+
+/**
+ * Fill in a template
+ * @param {string} template - e.g. "{brand} - {campaign} - {date}"
+ * @param {Object} values - { brand, campaign, domain, date, mode, run }
+ * @returns {string}
+ */
+function renderListName(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name, format) => {
+    if (name === 'date') return formatSendDate(values.date, format || DEFAULT_DATE_FORMAT);
+    return values[name] === undefined || values[name] === null ? '' : String(values[name]);
+  }).trim();
+}
+
+/**
+ * Check a template before it is saved
+ * @param {string} template - Template text
+ * @param {Object} [options] - { brand } when the template is for one brand
+ * @throws {NamingTemplateError} - Unknown placeholder, missing placeholder, or a send date that cannot be read back
+ */
+function validateNamingTemplate(template, options = {}) {
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new NamingTemplateError('Template is required', template);
+  }
+
+  const used = [...template.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name);
+  const unknown = used.filter(name => !PLACEHOLDERS[name]);
+  if (unknown.length > 0) {
+    throw new NamingTemplateError(`Unknown placeholder ${unknown.map(name => `{${name}}`).join(', ')}. Available: ${Object.keys(PLACEHOLDERS).map(name => `{${name}}`).join(', ')}`, template);
+  }
+
+  const required = options.brand ? UNIQUE_PLACEHOLDERS : ['brand', ...UNIQUE_PLACEHOLDERS];
+  const missing = required.filter(name => !used.includes(name));
+  if (missing.length > 0) {
+    throw new NamingTemplateError(`Template must include ${missing.map(name => `{${name}}`).join(', ')} so list names stay unique`, template);
+  }
+
+  // The first date in the name must be the send date, on single and double digit days alike
+  for (const sampleDate of ['2025-01-05', '2025-11-28']) {
+    const name = renderListName(template, { brand: 'Brand', campaign: 'Campaign', domain: 'Tier 1', date: sampleDate, mode: 'BAU', run: 1 });
+    const match = name.match(LIST_NAME_DATE_PATTERN);
+    if (!match || `${match[3]}-${String(monthNames.indexOf(match[2]) + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}` !== sampleDate) {
+      throw new NamingTemplateError(`The send date could not be read from "${name}"; include {date} or {date:${DEFAULT_DATE_FORMAT}} before any other date`, template);
+    }
+  }
+}
+
+/**
+ * Template that applies to a brand: its own, else the global one, else the built-in default
+ * @param {string} brand - Segmentation brand
+ * @returns {Promise<string>}
+ */
+async function getNamingTemplate(brand) {
+  const templates = await NamingTemplate.find({ brand: { $in: [brand, null] } }).lean();
+  const brandTemplate = templates.find(entry => entry.brand === brand);
+  const globalTemplate = templates.find(entry => entry.brand === null);
+  return (brandTemplate || globalTemplate)?.template || DEFAULT_LIST_NAME_TEMPLATE;
+}
+
+/**
+ * Name of the list created for a Segmentation row
+ * @param {Object} config - Segmentation row
+ * @param {Object} [options] - { modeFilter } used when the row has no mode, { template } to skip the lookup
+ * @returns {Promise<string>}
+ */
+async function buildListName(config, options = {}) {
+  const template = options.template || await getNamingTemplate(config.brand);
+  const usesRun = /\{run(?::[^}]*)?\}/.test(template);
+  const previousLists = usesRun && config._id ? await CreatedList.countDocuments({ segmentationId: config._id }) : 0;
+
+  return renderListName(template, {
+    brand: config.brand,
+    campaign: config.campaign,
+    domain: config.domain,
+    date: config.date,
+    mode: config.mode || options.modeFilter,
+    run: previousLists + 1
+  });
+}
+
+/**
+ * Names a template would give a set of rows, with rows that would share a name
+ * @param {string} template - Template text
+ * @param {Array<Object>} rows - Segmentation rows; a row with its own template is named with that one
+ * @returns {Array<Object>} - [{ name, rows: [{ id, campaign, brand, date }] }] for names used more than once
+ */
+function findNameCollisions(template, rows) {
+  const byName = new Map();
+  for (const row of rows) {
+    const name = renderListName(row.template || template, { ...row, run: 1 });
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push({ id: row._id, campaign: row.campaign, brand: row.brand, date: row.date });
+  }
+
+  return [...byName.entries()]
+    .filter(([, entries]) => entries.length > 1)
+    .map(([name, entries]) => ({ name, rows: entries }));
+}
+
+// LIST_NAME_TEMPLATE is checked like a saved template, so a bad value stops the app at startup instead of failing runs
+if (process.env.LIST_NAME_TEMPLATE) {
+  try {
+    validateNamingTemplate(DEFAULT_LIST_NAME_TEMPLATE);
+  } catch (error) {
+    throw new NamingTemplateError(`LIST_NAME_TEMPLATE is invalid: ${error.message}`, DEFAULT_LIST_NAME_TEMPLATE);
+  }
+}
+
+module.exports = {
+  LIST_NAME_DATE_PATTERN,
+  DEFAULT_DATE_FORMAT,
+  DEFAULT_LIST_NAME_TEMPLATE,
+  PLACEHOLDERS,
+  NamingTemplateError,
+  formatSendDate,
+  renderListName,
+  validateNamingTemplate,
+  getNamingTemplate,
+  buildListName,
+  findNameCollisions
+};
@@ -0,0 +1,277 @@
+const ListSchedule = require('../models/listSchedule');
+const OperationStatus = require('../models/operationStatus');
+const { parseCron, getNextCronTime } = require('./cronSchedule');
+const { APP_TIMEZONE, getTodayInTimezone, resolveDateWindow } = require('./dateFilters');
+const { findCampaignsForFilters, startCampaignRun } = require('./campaignRunner');
+
+const CHECK_INTERVAL_MS = 60 * 1000; // Check every minute
+const SCHEDULER_USER = 'scheduler';
+// Missed firings older than this are recorded as missed instead of being run late
+const CATCH_UP_WINDOW_MS = (parseFloat(process.env.SCHEDULE_CATCH_UP_HOURS) || 24) * 60 * 60 * 1000;
+
+let schedulerInterval = null;
+
+const getScheduleTimezone = (schedule) => schedule.timezone || APP_TIMEZONE;
+
+// Days filter a schedule runs with, same values as the create-lists form
+const getScheduleDaysFilter = (schedule) => (schedule.daysOffset > 0 ? `t+${schedule.daysOffset}` : 'today');
+
+const ACTIVE_RUN_STATUSES = ['running', 'paused'];
+
+/**
+ * Find what earlier runs already did for a send date and mode
+ * @param {string} date - YYYY-MM-DD send date
+ * @param {string} modeFilter - Campaign mode
+ * @returns {Promise<Object>} - { activeRun, completedRun, completedIds } where activeRun is still in progress,
+ *   completedIds holds the Segmentation ids any earlier run created lists for and completedRun is the latest of those runs
+ */
+async function findCoveringRuns(date, modeFilter) {
+  const runs = await OperationStatus.find({
+    type: 'list_creation',
+    'filters.modeFilter': modeFilter,
+    // Runs started without a date range ('all') cover every date
+    $or: [
+      { 'filters.startDate': { $lte: date }, 'filters.endDate': { $gte: date } },
+      { 'filters.startDate': null }
+    ]
+  }).select('_id status startTime campaigns.segmentationId campaigns.status').sort({ startTime: -1 }).lean();
+
+  const completedIds = new Set();
+  let completedRun = null;
+  for (const run of runs) {
+    // Campaigns that completed before a run failed or was cancelled still sent; the others are not covered
+    const completed = (run.campaigns || []).filter(entry => entry.status === 'completed');
+    completed.forEach(entry => completedIds.add(String(entry.segmentationId)));
+    if (completed.length > 0 && !completedRun) completedRun = run;
+  }
+
+  return {
+    activeRun: runs.find(run => ACTIVE_RUN_STATUSES.includes(run.status)) || null,
+    completedRun,
+    completedIds
+  };
+}
+
+/**
+ * Start the list creation run of a schedule, the same way POST /api/create-lists does.
+ * Skips the date while a run for it is in progress, and leaves out the campaigns an earlier run completed.
+ * @param {Object} schedule - ListSchedule document
+ * @param {Date} [firedAt] - Cron firing being handled; the send date is relative to it
+ * @returns {Promise<Object>} - { outcome, message, runId }
+ */
+async function runSchedule(schedule, firedAt = new Date()) {
+  const timezone = getScheduleTimezone(schedule);
+  const window = resolveDateWindow({ daysFilter: getScheduleDaysFilter(schedule), timezone, now: firedAt });
+  const label = `${window.startDate} / ${schedule.modeFilter}`;
+
+  // A firing caught up late may target a send date that is already over
+  if (window.endDate < getTodayInTimezone(timezone)) {
+    return { outcome: 'missed', message: `Send date of ${label} had passed when the firing was caught up` };
+  }
+
+  const { activeRun, completedRun, completedIds } = await findCoveringRuns(window.startDate, schedule.modeFilter);
+  if (activeRun) {
+    return {
+      outcome: 'skipped',
+      message: `Run ${activeRun._id} (${activeRun.status}) already covers ${label}`,
+      runId: activeRun._id
+    };
+  }
+
+  const matching = await findCampaignsForFilters(window, schedule.modeFilter);
+  if (!matching.length) {
+    return { outcome: 'no_campaigns', message: `No campaigns match ${label}` };
+  }
+
+  const listConfigs = matching.filter(config => !completedIds.has(String(config._id)));
+  if (!listConfigs.length) {
+    return {
+      outcome: 'skipped',
+      message: `Every campaign of ${label} already completed (latest run ${completedRun._id})`,
+      runId: completedRun._id
+    };
+  }
+
+  const filters = {
+    daysFilter: window.daysFilter,
+    startDate: window.startDate,
+    endDate: window.endDate,
+    timezone: window.timezone,
+    modeFilter: schedule.modeFilter,
+    allowOverlap: schedule.allowOverlap
+  };
+  const run = await startCampaignRun(listConfigs, filters, SCHEDULER_USER, { scheduleId: schedule._id });
+  const alreadyCompleted = matching.length - listConfigs.length;
+
+  return {
+    outcome: 'started',
+    message: `Started run ${run._id} with ${listConfigs.length} campaigns for ${label}${alreadyCompleted > 0 ? ` (${alreadyCompleted} already completed)` : ''}`,
+    runId: run._id
+  };
+}
+
+/**
+ * Run a schedule and record the outcome on it
+ * @param {Object} schedule - ListSchedule document
+ * @param {Date} [firedAt] - Cron firing being handled (unset = now, e.g. "Run now")
+ * @returns {Promise<Object>} - { outcome, message, runId }
+ */
+async function triggerSchedule(schedule, firedAt) {
+  let result;
+  try {
+    result = await runSchedule(schedule, firedAt);
+  } catch (error) {
+    result = { outcome: 'failed', message: error.message };
+  }
+  // Firings handled a minute or more late are caught up ones
+  if (firedAt && Date.now() - firedAt.getTime() >= CHECK_INTERVAL_MS * 2) {
+    result.message = `Caught up firing of ${firedAt.toISOString()}: ${result.message}`;
+  }
+
+  await ListSchedule.updateOne({ _id: schedule._id }, {
+    $set: {
+      lastTriggeredAt: new Date(),
+      lastOutcome: result.outcome,
+      lastMessage: result.message,
+      ...(result.runId ? { lastRunId: result.runId } : {})
+    }
+  });
+
+  const icon = { started: '🚀', skipped: '⏭️', no_campaigns: '📭', missed: '⌛', failed: '❌' }[result.outcome];
+  console.log(`[List Scheduler] ${icon} ${schedule.name}: ${result.message}`);
+  return result;
+}
+
+/**
+ * Cron firings of a schedule after its last handled firing, up to now. Firings that target the same send date
+ * are collapsed into the latest one, which covers them.
+ * @param {Object} schedule - ListSchedule document
+ * @param {Object} parsed - From parseCron
+ * @param {Date} since - Last handled firing
+ * @param {Date} now - Reference time
+ * @returns {Array<Date>} - Firings to handle, oldest first
+ */
+function getDueFirings(schedule, parsed, since, now) {
+  const timezone = getScheduleTimezone(schedule);
+  const bySendDate = new Map();
+
+  let firedAt = getNextCronTime(parsed, timezone, since);
+  while (firedAt && firedAt <= now) {
+    const sendDate = resolveDateWindow({ daysFilter: getScheduleDaysFilter(schedule), timezone, now: firedAt }).startDate;
+    bySendDate.set(sendDate, firedAt);
+    firedAt = getNextCronTime(parsed, timezone, firedAt);
+  }
+  return [...bySendDate.values()];
+}
+
+/**
+ * Trigger every enabled schedule whose cron expression fired since it was last handled, including firings
+ * missed while the server was down (within SCHEDULE_CATCH_UP_HOURS)
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} - Number of firings triggered
+ */
+async function checkSchedules(now = new Date()) {
+  const schedules = await ListSchedule.find({ enabled: true }).lean();
+  const catchUpFrom = new Date(now.getTime() - CATCH_UP_WINDOW_MS);
+  let triggered = 0;
+
+  for (const schedule of schedules) {
+    let parsed;
+    try {
+      parsed = parseCron(schedule.cron);
+    } catch (error) {
+      console.error(`[List Scheduler] Invalid cron "${schedule.cron}" on ${schedule.name}: ${error.message}`);
+      continue;
+    }
+
+    // Schedules saved before lastFiredAt existed continue from their last trigger
+    const lastFiredAt = schedule.lastFiredAt || schedule.lastTriggeredAt || schedule.createdAt || now;
+    let since = lastFiredAt;
+    if (lastFiredAt < catchUpFrom) {
+      since = catchUpFrom;
+      const oldFiring = getNextCronTime(parsed, getScheduleTimezone(schedule), lastFiredAt);
+      if (oldFiring && oldFiring < catchUpFrom) {
+        const message = `Firings between ${oldFiring.toISOString()} and ${catchUpFrom.toISOString()} were not run (older than ${CATCH_UP_WINDOW_MS / 3600000}h)`;
+        const recorded = await ListSchedule.updateOne(
+          { _id: schedule._id, lastFiredAt: schedule.lastFiredAt ?? null },
+          { $set: { lastFiredAt: catchUpFrom, lastTriggeredAt: now, lastOutcome: 'missed', lastMessage: message } }
+        );
+        if (recorded.modifiedCount === 0) continue;
+        console.warn(`[List Scheduler] ⌛ ${schedule.name}: ${message}`);
+      }
+    }
+
+    for (const firedAt of getDueFirings(schedule, parsed, since, now)) {
+      // Claim the firing so a second tick or another instance does not start the same run
+      const claimed = await ListSchedule.findOneAndUpdate(
+        { _id: schedule._id, enabled: true, $or: [{ lastFiredAt: { $exists: false } }, { lastFiredAt: { $lt: firedAt } }] },
+        { $set: { lastFiredAt: firedAt } }
+      );
+      if (!claimed) break;
+
+      await triggerSchedule(schedule, firedAt);
+      triggered++;
+    }
+  }
+
+  return triggered;
+}
+
+/**
+ * Next time a schedule fires, for display
+ * @param {Object} schedule - ListSchedule document
+ * @returns {Date|null}
+ */
+function getNextRunTime(schedule) {
+  if (!schedule.enabled) return null;
+  try {
+    return getNextCronTime(parseCron(schedule.cron), getScheduleTimezone(schedule));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Initialize the list creation scheduler
+ * Checks the stored schedules at boot and every minute
+ */
+function initializeListScheduler() {
+  if (schedulerInterval) {
+    console.log('[List Scheduler] Scheduler already running');
+    return;
+  }
+
+  console.log(`⏰ [List Scheduler] Checking list creation schedules every minute (default timezone ${APP_TIMEZONE})`);
+
+  const check = async () => {
+    try {
+      await checkSchedules();
+    } catch (error) {
+      console.error('[List Scheduler] Error checking schedules:', error);
+    }
+  };
+
+  // Catch up on firings missed while the server was down, then keep checking
+  check();
+  schedulerInterval = setInterval(check, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the list creation scheduler
+ */
+function stopListScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+    console.log('[List Scheduler] ⏹️ Scheduler stopped');
+  }
+}
+
+module.exports = {
+  initializeListScheduler,
+  stopListScheduler,
+  checkSchedules,
+  triggerSchedule,
+  getNextRunTime,
+  getScheduleDaysFilter
+};
@@ -0,0 +1,91 @@
+const { createMembershipReader } = require('./listCreation');
+
+// Optional lifetime of a cached list; unset = kept for the whole run (long runs may want fresher memberships)
+const MEMBERSHIP_CACHE_TTL_MS = (parseFloat(process.env.MEMBERSHIP_CACHE_TTL_MINUTES) || 0) * 60 * 1000;
+
+// Every member of a list; a list only partly read is an error, so it is never cached as complete
+async function readWholeList(listId) {
+  const reader = createMembershipReader(listId);
+  const contacts = await reader.next();
+  if (reader.error) throw reader.error;
+  return contacts;
+}
+
+/**
+ * Create a list membership cache for one run. Each list is read once with a full pagination and served from
+ * memory to every later source, planner or suppression lookup of the run. Parallel reads of the same list share
+ * one request; failed reads are not cached.
+ * @param {Object} [options] - { ttlMs } to refetch lists older than this (defaults to MEMBERSHIP_CACHE_TTL_MINUTES)
+ * @returns {Object} - { getContacts(listId, maxCount?), createReader(listId), getStats() }
+ */
+function createMembershipCache(options = {}) {
+  const ttlMs = options.ttlMs ?? MEMBERSHIP_CACHE_TTL_MS;
+  const entries = new Map(); // listId -> { loading, fetchedAt }
+  const stats = { hits: 0, misses: 0, expired: 0 };
+
+  const isFresh = (entry) => ttlMs <= 0 || !entry.fetchedAt || Date.now() - entry.fetchedAt < ttlMs;
+
+  /**
+   * Members of a list, in HubSpot membership order
+   * @param {number} listId - ILS list ID
+   * @param {number} [maxCount] - Return at most this many (the whole list is still cached)
+   * @returns {Promise<Array<number>>} - Contact IDs
+   */
+  async function getContacts(listId, maxCount = Infinity) {
+    let entry = entries.get(listId);
+    if (entry && !isFresh(entry)) {
+      stats.expired++;
+      entry = null;
+    }
+
+    if (entry) {
+      stats.hits++;
+    } else {
+      stats.misses++;
+      entry = { loading: readWholeList(listId), fetchedAt: null };
+      entries.set(listId, entry);
+      entry.loading.then(
+        () => { entry.fetchedAt = Date.now(); },
+        () => { if (entries.get(listId) === entry) entries.delete(listId); }
+      );
+    }
+
+    // A copy, so callers cannot change the cached list
+    return (await entry.loading).slice(0, maxCount);
+  }
+
+  /**
+   * Reader over a cached list with the same interface as createMembershipReader, for selections that page
+   * @param {number} listId - ILS list ID
+   * @returns {Object} - { next(maxCount) -> Promise<Array<number>>, exhausted, pagesRead, error }
+   */
+  function createReader(listId) {
+    let contacts = null; // Read once, so a TTL refresh cannot shift the reader's position
+    let position = 0;
+    const reader = {
+      exhausted: false,
+      pagesRead: 0,
+      error: null,
+      async next(maxCount = Infinity) {
+        contacts = contacts || await getContacts(listId);
+        const page = contacts.slice(position, position + maxCount);
+        position += page.length;
+        reader.pagesRead++;
+        reader.exhausted = position >= contacts.length;
+        return page;
+      }
+    };
+    return reader;
+  }
+
+  return {
+    getContacts,
+    createReader,
+    getStats: () => ({ ...stats, lists: entries.size })
+  };
+}
+
+module.exports = {
+  MEMBERSHIP_CACHE_TTL_MS,
+  createMembershipCache
+};
@@ -0,0 +1,142 @@
+const Segmentation = require('../models/segmentation');
+const ContactAssignment = require('../models/contactAssignment');
+const { inferModeFromCampaign } = require('./campaignModes');
+
+/**
+ * Move primaryListId / secondaryListId into the ordered sources chain.
+ * Writes go to the raw collection because the old fields are no longer part of the schema.
+ * @returns {Promise<number>} - Number of rows migrated
+ */
+async function migrateSegmentationSources() {
+  const rows = await Segmentation.find({ primaryListId: { $exists: true } })
+    .select('primaryListId secondaryListId sources')
+    .lean();
+
+  const bulkOps = rows.map(row => {
+    const sources = row.sources && row.sources.length > 0
+      ? row.sources
+      : [row.primaryListId, row.secondaryListId]
+        .filter(listId => listId !== undefined && listId !== null && listId !== '')
+        .map(listId => ({ listId: Number(listId) }));
+
+    return {
+      updateOne: {
+        filter: { _id: row._id },
+        update: {
+          $set: { sources },
+          $unset: { primaryListId: '', secondaryListId: '' }
+        }
+      }
+    };
+  });
+
+  if (bulkOps.length > 0) {
+    await Segmentation.collection.bulkWrite(bulkOps);
+  }
+
+  return bulkOps.length;
+}
+
+/**
+ * Give rows saved before the mode field existed the mode their campaign name used to imply
+ * @returns {Promise<number>} - Number of rows migrated
+ */
+async function migrateSegmentationModes() {
+  const rows = await Segmentation.collection
+    .find({ mode: { $exists: false } }, { projection: { campaign: 1 } })
+    .toArray();
+
+  const bulkOps = rows.map(row => ({
+    updateOne: {
+      filter: { _id: row._id, mode: { $exists: false } },
+      update: { $set: { mode: inferModeFromCampaign(row.campaign) } }
+    }
+  }));
+
+  if (bulkOps.length > 0) {
+    await Segmentation.collection.bulkWrite(bulkOps);
+  }
+
+  return bulkOps.length;
+}
+
+const CLAIM_UPDATE_BATCH_SIZE = 1000;
+
+/**
+ * Leave one claiming ledger entry per send date and contact, so the unique claim index can be built.
+ * Contacts claimed twice before the index existed were really sent twice: the earliest entry keeps the claim and
+ * the later ones become overlap entries, so the contacts stay assigned and those campaigns can still be rolled back.
+ * @returns {Promise<number>} - Number of entries turned into overlap entries
+ */
+async function dedupeContactAssignmentClaims() {
+  const duplicates = await ContactAssignment.collection.aggregate([
+    { $match: { allowOverlap: false } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: { sendDate: '$sendDate', contactId: '$contactId' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ], { allowDiskUse: true }).toArray();
+
+  const laterIds = duplicates.flatMap(group => group.ids.slice(1));
+  for (let i = 0; i < laterIds.length; i += CLAIM_UPDATE_BATCH_SIZE) {
+    await ContactAssignment.collection.updateMany(
+      { _id: { $in: laterIds.slice(i, i + CLAIM_UPDATE_BATCH_SIZE) } },
+      { $set: { allowOverlap: true } }
+    );
+  }
+
+  return laterIds.length;
+}
+
+/**
+ * Build the ledger indexes (the model does not build them itself) and check the claim index exists
+ * @throws {Error} - When an index cannot be built or the claim index is missing
+ */
+async function ensureContactAssignmentIndexes() {
+  await ContactAssignment.createIndexes();
+  const indexes = await ContactAssignment.collection.indexes();
+  if (!indexes.some(index => index.name === ContactAssignment.CLAIM_INDEX_NAME)) {
+    throw new Error(`Index ${ContactAssignment.CLAIM_INDEX_NAME} is missing`);
+  }
+}
+
+/**
+ * Run every data migration; each one only touches rows still in the old shape, so this is safe on every boot
+ * @returns {Promise<void>}
+ */
+async function runMigrations() {
+  try {
+    const migratedSources = await migrateSegmentationSources();
+    if (migratedSources > 0) {
+      console.log(`[Migrations] Moved primary/secondary list IDs into sources for ${migratedSources} segmentation rows`);
+    }
+  } catch (error) {
+    console.error('[Migrations] Error migrating segmentation sources:', error);
+  }
+
+  try {
+    const migratedModes = await migrateSegmentationModes();
+    if (migratedModes > 0) {
+      console.log(`[Migrations] Backfilled mode from campaign names for ${migratedModes} segmentation rows`);
+    }
+  } catch (error) {
+    console.error('[Migrations] Error backfilling segmentation modes:', error);
+  }
+
+  try {
+    const dedupedClaims = await dedupeContactAssignmentClaims();
+    if (dedupedClaims > 0) {
+      console.log(`[Migrations] Kept ${dedupedClaims} duplicate contact assignments as overlap entries`);
+    }
+    await ensureContactAssignmentIndexes();
+  } catch (error) {
+    console.error('🚨 [Migrations] Contact assignment claim index unavailable: runs running at the same time can assign a contact twice for a send date.', error);
+  }
+}
+
+module.exports = {
+  runMigrations,
+  migrateSegmentationSources,
+  migrateSegmentationModes,
+  dedupeContactAssignmentClaims,
+  ensureContactAssignmentIndexes
+};
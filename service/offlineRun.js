@@ -0,0 +1,143 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { startFakeHubspot, DEFAULT_SEED } = require('./fakeHubspot');
+
+/*
+ * Run a campaign end to end against service/fakeHubspot.js, without touching the real portal.
+ *
+ *   npm run offline-run
+ *
+ * Starts the fake HubSpot on a free port, points the HubSpot client at it, creates two Segmentation rows that
+ * share source contacts, runs them through the campaign runner and checks the created lists against the fake state.
+ * Exits with code 1 when the run fails or a check does not hold.
+ *
+ * Environment:
+ *   OFFLINE_MONGODB_URI  Throwaway database for the run (default mongodb://127.0.0.1:27017/listautomate-offline).
+ *                        It is dropped when the run ends, so it may not be MONGODB_URI.
+ */
+
+const OFFLINE_MONGODB_URI = process.env.OFFLINE_MONGODB_URI || 'mongodb://127.0.0.1:27017/listautomate-offline';
+const RUN_TIMEOUT_MS = 5 * 60 * 1000;
+
+const SEED = {
+  ...DEFAULT_SEED,
+  lists: [...DEFAULT_SEED.lists, { name: 'Fake Send Contacts', contactIds: [] }]
+};
+
+// Wait for the run to finish, from its progress events
+function waitForRun(runEvents, runId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      runEvents.off('progress', onProgress);
+      reject(new Error(`Run ${runId} did not finish within ${RUN_TIMEOUT_MS / 1000}s`));
+    }, RUN_TIMEOUT_MS);
+
+    function onProgress(id, event) {
+      if (id !== runId || !['run_completed', 'run_failed', 'run_cancelled'].includes(event.type)) return;
+      clearTimeout(timer);
+      runEvents.off('progress', onProgress);
+      resolve(event.run);
+    }
+    runEvents.on('progress', onProgress);
+  });
+}
+
+/**
+ * Compare the finished run with the fake HubSpot state
+ * @param {Object} summary - summarizeRun of the finished run
+ * @param {Object} state - Fake HubSpot state
+ * @returns {Array<string>} - Failed checks
+ */
+function checkRun(summary, state) {
+  const problems = [];
+  if (summary.status !== 'completed') problems.push(`Run ended ${summary.status}: ${summary.error || ''}`);
+
+  const seen = new Map();
+  for (const campaign of summary.campaigns) {
+    if (campaign.status !== 'completed') {
+      problems.push(`${campaign.campaign} ended ${campaign.status}: ${campaign.error || ''}`);
+      continue;
+    }
+
+    const list = state.lists.get(String(campaign.listId));
+    if (!list) {
+      problems.push(`${campaign.campaign}: created list ${campaign.listId} not found in the fake`);
+      continue;
+    }
+    if (list.members.size !== campaign.selectedCount) {
+      problems.push(`${campaign.campaign}: list ${list.listId} has ${list.members.size} members, run selected ${campaign.selectedCount}`);
+    }
+    const duplicates = [...list.members].filter(vid => seen.has(vid));
+    if (duplicates.length > 0) {
+      problems.push(`${campaign.campaign}: ${duplicates.length} contacts already selected by another campaign (e.g. ${duplicates[0]})`);
+    }
+    list.members.forEach(vid => seen.set(vid, campaign.campaign));
+  }
+  return problems;
+}
+
+async function main() {
+  if (process.env.MONGODB_URI && OFFLINE_MONGODB_URI === process.env.MONGODB_URI) {
+    throw new Error('OFFLINE_MONGODB_URI must not be MONGODB_URI, the offline database is dropped after the run');
+  }
+
+  const { server, fake, url } = await startFakeHubspot({ port: 0, seed: SEED });
+  // Set before the runner loads the HubSpot client, which reads them once
+  process.env.HUBSPOT_BASE_URL = url;
+  process.env.HUBSPOT_ACCESS_TOKEN = 'offline-run';
+  console.log(`[Offline Run] Fake HubSpot on ${url}`);
+
+  const Segmentation = require('../models/segmentation');
+  const { startCampaignRun, getRunSummary, runEvents } = require('./campaignRunner');
+  const { runMigrations } = require('./migrations');
+
+  await mongoose.connect(OFFLINE_MONGODB_URI);
+  try {
+    // Builds the assignment ledger indexes, as at app startup
+    await runMigrations();
+    const listIds = new Map([...fake.state.lists.values()].map(list => [list.name, list.listId]));
+    const sendDate = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const shared = {
+      brand: 'Cadbury',
+      sendContactListId: listIds.get('Fake Send Contacts'),
+      domain: 'offline.example.com',
+      date: sendDate,
+      lastMarketingEmailSentBrand: 'Cadbury'
+    };
+
+    const listConfigs = (await Segmentation.insertMany([
+      { ...shared, campaign: 'Offline A', count: 800, order: 1, sources: [{ listId: listIds.get('Fake Source A') }, { listId: listIds.get('Fake Source B') }] },
+      { ...shared, campaign: 'Offline B', count: 800, order: 2, sources: [{ listId: listIds.get('Fake Source B') }, { listId: listIds.get('Fake Source C') }] }
+    ])).map(doc => doc.toObject());
+
+    const run = await startCampaignRun(listConfigs, { daysFilter: 'tomorrow', startDate: sendDate, endDate: sendDate, modeFilter: 'all' }, 'offline-run');
+    const runId = String(run._id);
+    console.log(`[Offline Run] Run ${runId} started for ${sendDate}`);
+
+    await waitForRun(runEvents, runId);
+    const summary = await getRunSummary(runId);
+    summary.campaigns.forEach(campaign => {
+      console.log(`[Offline Run]   ${campaign.campaign}: ${campaign.status}, ${campaign.selectedCount || 0}/${campaign.requestedCount} in list ${campaign.listId} (${campaign.fetchOutcome || '-'})`);
+    });
+
+    const problems = checkRun(summary, fake.state);
+    problems.forEach(problem => console.error(`❌ [Offline Run] ${problem}`));
+    if (problems.length === 0) console.log('✅ [Offline Run] Created lists match the run');
+    return problems.length === 0;
+  } finally {
+    await mongoose.connection.dropDatabase().catch(() => {});
+    await mongoose.disconnect();
+    server.close();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      console.error('❌ [Offline Run] Failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, checkRun };
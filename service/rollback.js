@@ -0,0 +1,176 @@
+const { hubspot } = require('./hubspotClient');
+const CreatedList = require('../models/list');
+const { getAssignmentsForList, releaseAssignments } = require('./assignmentLedger');
+const { readEmailProperties, parseSentDate } = require('./frequencyCap');
+
+const MEMBERSHIP_CHUNK_SIZE = 250;
+const PROPERTY_CHUNK_SIZE = 100; // HubSpot batch read/update limit
+const ROLLBACK_STALE_MS = 60 * 60 * 1000;
+
+const chunkArray = (arr, size) => {
+  const chunks = [];
+  for (let i = 0; i < arr.length; i += size) chunks.push(arr.slice(i, i + size));
+  return chunks;
+};
+
+// Timestamp of the value updateContactProperties stamps for a send date
+const getStampTime = (sendDate) => {
+  const epochMidnight = new Date(sendDate);
+  epochMidnight.setUTCHours(0, 0, 0, 0);
+  return epochMidnight.getTime();
+};
+
+/**
+ * Remove contacts from a MANUAL list
+ * @param {number} listId - ILS list ID
+ * @param {Array<number>} contactIds - Contacts to remove
+ * @param {Array<string>} errors - Collects one message per failed chunk
+ * @returns {Promise<number>} - Number of contacts in successfully processed chunks
+ */
+async function removeContactsFromList(listId, contactIds, errors) {
+  let removedCount = 0;
+
+  for (const chunk of chunkArray(contactIds, MEMBERSHIP_CHUNK_SIZE)) {
+    try {
+      await hubspot.put(`/crm/v3/lists/${listId}/memberships/remove`, chunk.map(id => String(id)));
+      removedCount += chunk.length;
+    } catch (error) {
+      console.error(`❌ Failed to remove ${chunk.length} contacts from list ${listId}:`, error.response?.status || error.message);
+      errors.push(`Removing ${chunk.length} contacts from list ${listId}: ${error.message}`);
+    }
+  }
+
+  return removedCount;
+}
+
+/**
+ * Put back the property values contacts had before the campaign.
+ * Contacts stamped again since (by a later campaign) are skipped so its stamp is not lost.
+ * @param {Array<Object>} entries - Ledger entries holding previousProperties
+ * @param {Array<string>} errors - Collects one message per failed chunk
+ * @returns {Promise<Object>} - { restoredCount, skippedCount }
+ */
+async function restoreProperties(entries, errors) {
+  let restoredCount = 0;
+  let skippedCount = 0;
+
+  for (const chunk of chunkArray(entries, PROPERTY_CHUNK_SIZE)) {
+    try {
+      const current = await readEmailProperties(chunk.map(entry => entry.contactId));
+
+      const inputs = chunk
+        .filter(entry => {
+          // HubSpot may return the date as epoch ms or as an ISO string, so compare timestamps
+          const stillOurs = parseSentDate(current.get(entry.contactId)?.recent_marketing_email_sent_date) === getStampTime(entry.sendDate);
+          if (!stillOurs) skippedCount++;
+          return stillOurs;
+        })
+        .map(entry => ({
+          id: entry.contactId.toString(),
+          properties: {
+            // An empty string clears a property that was unset before the campaign
+            recent_marketing_email_sent_date: entry.previousProperties.recent_marketing_email_sent_date || '',
+            last_marketing_email_sent_brand: entry.previousProperties.last_marketing_email_sent_brand || ''
+          }
+        }));
+
+      if (inputs.length > 0) {
+        await hubspot.post('/crm/v3/objects/contacts/batch/update', { inputs });
+        restoredCount += inputs.length;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to restore properties for ${chunk.length} contacts:`, error.response?.status || error.message);
+      errors.push(`Restoring properties of ${chunk.length} contacts: ${error.message}`);
+    }
+  }
+
+  return { restoredCount, skippedCount };
+}
+
+// True when the list has no members left
+async function isListEmpty(listId) {
+  const res = await hubspot.get(`/crm/v3/lists/${listId}/memberships`, { params: { limit: 1 } });
+  return (res.data.results || []).length === 0;
+}
+
+/**
+ * Undo a campaign: remove the contacts it added to its created list and send contacts list,
+ * restore the contact properties it stamped, delete the created list once empty and free the
+ * contacts in the assignment ledger. The outcome is recorded on the CreatedList record.
+ * @param {number} listId - Created ILS list ID of the campaign
+ * @param {Object} [options] - { reason, requestedBy }
+ * @returns {Promise<Object|null>} - Rollback outcome, or null if the list is unknown
+ */
+async function rollbackCampaign(listId, options = {}) {
+  const createdList = await CreatedList.findOne({ listId });
+  if (!createdList) return null;
+
+  // A rollback interrupted by a restart stays "running"; it may be retried after an hour
+  const rollbackInProgress = createdList.rollback?.status === 'running' &&
+    Date.now() - new Date(createdList.rollback.startedAt).getTime() < ROLLBACK_STALE_MS;
+  if (rollbackInProgress) {
+    throw new Error(`A rollback of list ${listId} is already running`);
+  }
+
+  console.log(`\n↩️ Rolling back campaign list ${createdList.name} (${listId})${options.reason ? ` - ${options.reason}` : ''}`);
+
+  const rollback = {
+    status: 'running',
+    reason: options.reason,
+    requestedBy: options.requestedBy,
+    startedAt: new Date()
+  };
+  createdList.rollback = rollback;
+  await createdList.save();
+
+  const errors = [];
+  const entries = await getAssignmentsForList(listId);
+  if (entries.length === 0) {
+    errors.push('No contact assignments recorded for this list (older than the retention window or never selected)');
+  }
+
+  const contactIds = entries.map(entry => entry.contactId);
+  rollback.removedFromList = await removeContactsFromList(listId, contactIds, errors);
+
+  const sendListContactIds = entries.filter(entry => entry.addedToSendList).map(entry => entry.contactId);
+  rollback.removedFromSendList = createdList.sendContactListId && sendListContactIds.length > 0
+    ? await removeContactsFromList(createdList.sendContactListId, sendListContactIds, errors)
+    : 0;
+
+  const { restoredCount, skippedCount } = await restoreProperties(entries.filter(entry => entry.previousProperties), errors);
+  rollback.restoredProperties = restoredCount;
+  rollback.skippedProperties = skippedCount;
+
+  rollback.listDeleted = false;
+  try {
+    if (await isListEmpty(listId)) {
+      await hubspot.delete(`/crm/v3/lists/${listId}`);
+      rollback.listDeleted = true;
+      createdList.deleted = true;
+    } else {
+      errors.push(`List ${listId} still has members and was not deleted`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to delete list ${listId}:`, error.response?.status || error.message);
+    errors.push(`Deleting list ${listId}: ${error.message}`);
+  }
+
+  // Only free the contacts for other sends once they are out of the list
+  if (rollback.removedFromList === contactIds.length) {
+    await releaseAssignments({ listId });
+  }
+
+  rollback.status = errors.length === 0 ? 'completed' : (rollback.removedFromList > 0 || restoredCount > 0 ? 'partial' : 'failed');
+  rollback.errors = errors.length > 0 ? errors : undefined;
+  rollback.finishedAt = new Date();
+  createdList.rollback = rollback;
+  await createdList.save();
+
+  console.log(`↩️ Rollback ${rollback.status}: ${rollback.removedFromList} removed from list | ${rollback.removedFromSendList} removed from send list | ${restoredCount} properties restored | list ${rollback.listDeleted ? 'deleted' : 'kept'}`);
+
+  return rollback;
+}
+
+module.exports = {
+  rollbackCampaign
+};
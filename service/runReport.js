@@ -0,0 +1,87 @@
+const { getRunSummary } = require('./campaignRunner');
+
+// One column per campaign outcome; run-level columns repeat on every row so the sheet can be filtered and merged
+const CSV_COLUMNS = [
+  ['Run ID', (run) => run.id],
+  ['Run Status', (run) => run.status],
+  ['Started By', (run) => run.user],
+  ['Run Started', (run) => formatTimestamp(run.startTime)],
+  ['Run Finished', (run) => formatTimestamp(run.endTime)],
+  ['Days Filter', (run) => run.filters?.daysFilter],
+  ['Send Dates', (run) => run.filters?.startDate && (run.filters.startDate === run.filters.endDate ? run.filters.startDate : `${run.filters.startDate} to ${run.filters.endDate}`)],
+  ['Timezone', (run) => run.filters?.timezone],
+  ['Mode Filter', (run) => run.filters?.modeFilter],
+  ['Campaign', (run, c) => c.campaign],
+  ['Brand', (run, c) => c.brand],
+  ['Status', (run, c) => c.status],
+  ['List ID', (run, c) => c.listId],
+  ['List Name', (run, c) => c.listName],
+  ['Allocation', (run) => run.filters?.allocationStrategy],
+  ['Requested', (run, c) => c.requestedCount],
+  ['Planned', (run, c) => c.plannedCount],
+  ['Selected', (run, c) => c.selectedCount],
+  ['Added To List', (run, c) => c.contactCount],
+  ['Fulfillment %', (run, c) => c.fulfillmentPercentage],
+  ['Fetch Outcome', (run, c) => c.fetchOutcome],
+  ['Available', (run, c) => c.availableCount],
+  ['Suppressed', (run, c) => c.suppressedCount],
+  ['Filtered Out', (run, c) => c.filteredCount],
+  ['Already Assigned', (run, c) => c.alreadyAssignedCount],
+  ['Frequency Capped', (run, c) => c.frequencyCappedCount],
+  ['Sampling', (run, c) => c.samplingMode],
+  ['Properties Updated', (run, c) => c.propertyUpdates?.updatedCount],
+  ['Properties Failed', (run, c) => c.propertyUpdates?.failedCount],
+  ['Failed Memberships', (run, c) => (c.failedMemberships || []).reduce((sum, failed) => sum + (failed.contactCount || 0), 0) || undefined],
+  ['Rollback', (run, c) => c.rollbackStatus],
+  ['Started', (run, c) => formatTimestamp(c.startedAt)],
+  ['Finished', (run, c) => formatTimestamp(c.finishedAt)],
+  ['Error', (run, c) => c.error]
+];
+
+const formatTimestamp = (value) => (value ? new Date(value).toISOString() : '');
+
+// Quote a CSV cell when it holds a delimiter, quote or line break. Text starting like a formula (contact names and
+// emails come from HubSpot forms) gets a leading ' so Excel and Sheets show it instead of running it; numbers are kept.
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a run summary as CSV, one row per campaign
+ * @param {Object} run - Run summary from getRunSummary
+ * @returns {string} - CSV text
+ */
+function buildRunCsv(run) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(',');
+  const rows = run.campaigns.map(campaign =>
+    CSV_COLUMNS.map(([, getValue]) => escapeCsv(getValue(run, campaign))).join(',')
+  );
+  return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a downloadable report of a run
+ * @param {string} runId - OperationStatus id
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<Object|null>} - { filename, contentType, body }, or null if the run does not exist
+ */
+async function buildRunReport(runId, format) {
+  const run = await getRunSummary(runId);
+  if (!run) return null;
+
+  const day = formatTimestamp(run.startTime).slice(0, 10);
+  const filename = `campaign-run-${day}-${run.id}.${format}`;
+
+  if (format === 'csv') {
+    return { filename, contentType: 'text/csv; charset=utf-8', body: buildRunCsv(run) };
+  }
+  return { filename, contentType: 'application/json; charset=utf-8', body: JSON.stringify(run, null, 2) };
+}
+
+module.exports = {
+  buildRunReport,
+  buildRunCsv,
+  escapeCsv
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { getLastSelectedDates } = require('./assignmentLedger');
+
+const SAMPLING_MODES = ['first', 'random', 'least_recent'];
+
+// Deterministic 32-bit PRNG (mulberry32) so a recorded seed reproduces the same order
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, seed) => {
+  const random = createRandom(seed);
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Resolve the sampling mode and seed for a Segmentation row
+ * @param {Object} config - Segmentation row
+ * @returns {Object} - { mode, seed } (seed is null for first-N)
+ */
+function getSamplingOptions(config) {
+  const mode = SAMPLING_MODES.includes(config.samplingMode) ? config.samplingMode : 'first';
+  if (mode === 'first') {
+    return { mode, seed: null };
+  }
+
+  const hasSeed = config.samplingSeed !== undefined && config.samplingSeed !== null;
+  return { mode, seed: hasSeed ? config.samplingSeed >>> 0 : crypto.randomInt(0, 2 ** 32) };
+}
+
+/**
+ * Fix a Segmentation row's seed for one run, so its planning and its selection shuffle the same way
+ * @param {Object} config - Segmentation row
+ * @param {number} [seed] - Seed to use when the row has no fixed seed, e.g. the one a dry run showed
+ * @returns {Object} - The row with samplingSeed set (the row itself for first-N)
+ */
+function withSamplingSeed(config, seed) {
+  const hasSeed = config.samplingSeed !== undefined && config.samplingSeed !== null;
+  const sampling = getSamplingOptions(hasSeed ? config : { ...config, samplingSeed: seed });
+  return sampling.seed === null ? config : { ...config, samplingSeed: sampling.seed };
+}
+
+/**
+ * Order candidates for selection; the selection then takes contacts from the front
+ * - first: HubSpot membership order
+ * - random: seeded shuffle of the whole source list
+ * - least_recent: contacts never selected first, then oldest last send date; ties in seeded random order
+ * @param {Array<number>} candidates - Contact IDs
+ * @param {Object} sampling - { mode, seed } from getSamplingOptions
+ * @returns {Promise<Array<number>>} - Ordered contact IDs
+ */
+async function orderCandidates(candidates, sampling) {
+  if (sampling.mode === 'first') {
+    return candidates;
+  }
+
+  const shuffled = shuffle(candidates, sampling.seed);
+  if (sampling.mode === 'random') {
+    return shuffled;
+  }
+
+  const lastSelected = await getLastSelectedDates(candidates);
+  // Array.prototype.sort is stable, so the shuffle breaks ties
+  return shuffled.sort((a, b) => {
+    const dateA = lastSelected.get(a) || '';
+    const dateB = lastSelected.get(b) || '';
+    return dateA < dateB ? -1 : dateA > dateB ? 1 : 0;
+  });
+}
+
+module.exports = {
+  SAMPLING_MODES,
+  getSamplingOptions,
+  withSamplingSeed,
+  orderCandidates
+};
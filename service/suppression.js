@@ -0,0 +1,69 @@
+const SuppressionList = require('../models/suppressionList');
+const { createMembershipReader } = require('./listCreation');
+
+const NO_SUPPRESSIONS = { global: new Set(), byBrand: new Map(), lists: [] };
+
+// Every member of a list; unlike getContactsFromList, a list only partly read is an error
+async function readWholeList(listId) {
+  const reader = createMembershipReader(listId);
+  const contacts = await reader.next();
+  if (reader.error) throw reader.error;
+  return contacts;
+}
+
+/**
+ * Load the members of every enabled suppression list, once per run.
+ * A list that cannot be read fails the load: selecting without it could email suppressed contacts.
+ * @param {Object} [membershipCache] - Run's list membership cache, for suppression lists also used as sources
+ * @returns {Promise<Object>} - { global: Set, byBrand: Map<brand, Set>, lists: [{ listId, brand, name, contactCount }] }
+ */
+async function loadSuppressions(membershipCache) {
+  const records = await SuppressionList.find({ enabled: true }).lean();
+  if (records.length === 0) return NO_SUPPRESSIONS;
+
+  const suppressions = { global: new Set(), byBrand: new Map(), lists: [] };
+  const membersByListId = new Map();
+
+  for (const record of records) {
+    if (!membersByListId.has(record.listId)) {
+      try {
+        membersByListId.set(record.listId, membershipCache
+          ? await membershipCache.getContacts(record.listId)
+          : await readWholeList(record.listId));
+      } catch (error) {
+        throw new Error(`Unable to load suppression list ${record.listId}: ${error.message}`);
+      }
+    }
+    const members = membersByListId.get(record.listId);
+
+    let target = suppressions.global;
+    if (record.brand) {
+      if (!suppressions.byBrand.has(record.brand)) suppressions.byBrand.set(record.brand, new Set());
+      target = suppressions.byBrand.get(record.brand);
+    }
+    members.forEach(vid => target.add(vid));
+
+    suppressions.lists.push({ listId: record.listId, brand: record.brand, name: record.name, contactCount: members.length });
+  }
+
+  const summary = suppressions.lists.map(list => `${list.listId}${list.brand ? ` (${list.brand})` : ''}: ${list.contactCount}`).join(', ');
+  console.log(`🚫 Suppression lists loaded - ${summary}`);
+  return suppressions;
+}
+
+/**
+ * Contacts a brand's campaigns must skip: global suppressions plus the brand's own
+ * @param {Object} [suppressions] - From loadSuppressions
+ * @param {string} brand - Segmentation brand
+ * @returns {Object} - Set-like { has(vid) }
+ */
+function getSuppressedContacts(suppressions = NO_SUPPRESSIONS, brand) {
+  const brandSet = suppressions.byBrand.get(brand);
+  if (!brandSet) return suppressions.global;
+  return { has: (vid) => suppressions.global.has(vid) || brandSet.has(vid) };
+}
+
+module.exports = {
+  loadSuppressions,
+  getSuppressedContacts
+};